@@ -0,0 +1,286 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - ACCESSIBLE FEEDBACK
+ * ============================================================================
+ *
+ * Makes the result usable without looking at the screen:
+ * - Speech: each new stable result is read out once ("Water bottle:
+ *   Plastic") with speechSynthesis, in the active language
+ * - Vibration: a distinct pattern per bin (VIBRATION_PATTERNS; region bins
+ *   may bring their own "vibration")
+ * - Live regions: screen readers hear the HUD result and the tips as they
+ *   change (announceLive)
+ * - Panels: focus moves into a panel when it opens and back to its button
+ *   when it closes; Tab stays inside the open panel
+ *
+ * Speech and vibration are optional and remembered per device.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const FEEDBACK_STORAGE_KEY = "recyclecam.feedback";
+
+// Vibration pattern per bin id (ms on, off, on, ...)
+const VIBRATION_PATTERNS = {
+  compost: [80],
+  paper: [80, 60, 80],
+  metal: [250],
+  glass: [80, 60, 80, 60, 80],
+  plastic: [250, 80, 80],
+  hazardous: [500, 100, 500, 100, 500], // Also the safety warning
+  landfill: [500],
+};
+const DEFAULT_VIBRATION = [120, 60, 120, 60, 250]; // Bins without a pattern
+const UNCERTAIN_VIBRATION = [40, 40, 40, 40, 40, 40, 40]; // "Not sure" buzz
+
+// Controls that take keyboard focus inside a panel
+const FOCUSABLE = "button:not([hidden]):not(:disabled), select, input:not([hidden])";
+
+// ============================================================================
+// PREFERENCES
+// ============================================================================
+
+/**
+ * Reads the feedback preferences (both off when nothing was saved).
+ *
+ * @returns {object} - { speech, vibration }
+ */
+function loadFeedbackSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(FEEDBACK_STORAGE_KEY));
+    return { speech: false, vibration: false, ...saved };
+  } catch (e) {
+    return { speech: false, vibration: false }; // Storage blocked or corrupt
+  }
+}
+
+let feedbackSettings = loadFeedbackSettings();
+
+/**
+ * Saves the feedback preferences.
+ */
+function saveFeedbackSettings() {
+  try {
+    localStorage.setItem(FEEDBACK_STORAGE_KEY, JSON.stringify(feedbackSettings));
+  } catch (e) {
+    // Not fatal - the choice only lasts for this session
+  }
+}
+
+/**
+ * True when this browser can read texts out.
+ */
+function canSpeak() {
+  return "speechSynthesis" in window;
+}
+
+/**
+ * True when this device can vibrate (most phones; not iOS).
+ */
+function canVibrate() {
+  return typeof navigator.vibrate === "function";
+}
+
+// ============================================================================
+// RESULT TEXTS
+// ============================================================================
+
+/**
+ * Result as one sentence, e.g. "Water bottle: Plastic".
+ *
+ * @param {string} category - Bin id
+ * @param {string|null} [name] - English item name
+ * @returns {string}
+ */
+function resultText(category, name = null) {
+  if (!name) return binLabel(category);
+  return t("feedback.result", { name: itemName(name), bin: binLabel(category) });
+}
+
+/**
+ * "Not sure" result as one sentence, naming the competing bins.
+ *
+ * @param {Array} bins - Bins best first (see scoreBins)
+ * @returns {string}
+ */
+function uncertainText(bins) {
+  const names = bins.slice(0, 3).map((bin) => binLabel(bin.category));
+  return t("feedback.uncertain", { bins: names.join(t("hud.or")) });
+}
+
+// ============================================================================
+// LIVE REGIONS
+// ============================================================================
+
+const liveResult = document.getElementById("liveResult");
+const liveStatus = document.getElementById("liveStatus");
+
+/**
+ * Puts text into a live region for screen readers. The same text twice in
+ * a row is announced once, so per-frame updates don't repeat themselves.
+ *
+ * @param {HTMLElement} region - liveResult or liveStatus
+ * @param {string} text - Text to announce ("" clears the region)
+ */
+function announceLive(region, text) {
+  if (region.textContent !== text) region.textContent = text;
+}
+
+// ============================================================================
+// SPEECH AND VIBRATION
+// ============================================================================
+
+/**
+ * Reads a text out in the active language, cutting off anything still
+ * being said.
+ *
+ * @param {string} text - Text to speak
+ */
+function speak(text) {
+  if (!canSpeak()) return;
+  speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = document.documentElement.lang;
+  speechSynthesis.speak(utterance);
+}
+
+/**
+ * Vibration pattern for a bin of the active region.
+ *
+ * @param {string} category - Bin id
+ * @returns {Array<number>}
+ */
+function vibrationPattern(category) {
+  const bin = activeProfile.bins[category];
+  return (
+    (bin && bin.vibration) || VIBRATION_PATTERNS[category] || DEFAULT_VIBRATION
+  );
+}
+
+/**
+ * Speaks and vibrates a new stable result, once per result - call it when
+ * the result changes, not every frame.
+ *
+ * @param {object} object - Object from analyzeFrame
+ */
+function announceResult({ result, bins, uncertain }) {
+  if (feedbackSettings.speech) {
+    speak(
+      uncertain
+        ? uncertainText(bins)
+        : resultText(result.category, result.displayName)
+    );
+  }
+  if (feedbackSettings.vibration && canVibrate()) {
+    navigator.vibrate(
+      uncertain ? UNCERTAIN_VIBRATION : vibrationPattern(result.category)
+    );
+  }
+}
+
+// ============================================================================
+// FEEDBACK TOGGLES
+// ============================================================================
+
+const speechBtn = document.getElementById("speechBtn");
+const vibrationBtn = document.getElementById("vibrationBtn");
+
+/**
+ * Shows the toggles' state (aria-pressed) and hides unsupported ones.
+ */
+function renderFeedbackToggles() {
+  speechBtn.hidden = !canSpeak();
+  vibrationBtn.hidden = !canVibrate();
+  speechBtn.setAttribute("aria-pressed", String(feedbackSettings.speech));
+  vibrationBtn.setAttribute("aria-pressed", String(feedbackSettings.vibration));
+}
+
+speechBtn.onclick = () => {
+  feedbackSettings.speech = !feedbackSettings.speech;
+  saveFeedbackSettings();
+  renderFeedbackToggles();
+  // Speaking from the click also unlocks speech on iOS
+  if (feedbackSettings.speech) speak(t("feedback.speechOn"));
+  else if (canSpeak()) speechSynthesis.cancel();
+};
+
+vibrationBtn.onclick = () => {
+  feedbackSettings.vibration = !feedbackSettings.vibration;
+  saveFeedbackSettings();
+  renderFeedbackToggles();
+  if (feedbackSettings.vibration) navigator.vibrate(DEFAULT_VIBRATION);
+};
+
+renderFeedbackToggles();
+
+// ============================================================================
+// PANELS
+// ============================================================================
+
+// Element focused before each open panel, to return to on close
+const panelOpeners = new Map();
+
+/**
+ * Opens a panel and moves keyboard focus into it.
+ *
+ * @param {HTMLElement} panel - .panel element
+ */
+function openPanel(panel) {
+  if (panel.hidden) panelOpeners.set(panel, document.activeElement);
+  panel.hidden = false;
+  const first = panel.querySelector(FOCUSABLE);
+  if (first) first.focus();
+}
+
+/**
+ * Closes a panel and gives focus back to the control that opened it.
+ *
+ * @param {HTMLElement} panel - .panel element
+ */
+function closePanel(panel) {
+  panel.hidden = true;
+  const opener = panelOpeners.get(panel);
+  panelOpeners.delete(panel);
+  if (opener && document.contains(opener)) opener.focus();
+}
+
+/**
+ * The open panel on top, if any.
+ *
+ * @returns {HTMLElement|null}
+ */
+function topOpenPanel() {
+  const open = document.querySelectorAll(".panel:not([hidden])");
+  return open.length > 0 ? open[open.length - 1] : null;
+}
+
+/**
+ * Keeps Tab / Shift+Tab inside the open panel.
+ */
+document.addEventListener("keydown", (e) => {
+  if (e.key !== "Tab") return;
+  const panel = topOpenPanel();
+  if (!panel) return;
+
+  const focusable = [...panel.querySelectorAll(FOCUSABLE)];
+  if (focusable.length === 0) return;
+  const first = focusable[0];
+  const last = focusable[focusable.length - 1];
+
+  if (!panel.contains(document.activeElement)) {
+    e.preventDefault();
+    first.focus();
+  } else if (e.shiftKey && document.activeElement === first) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && document.activeElement === last) {
+    e.preventDefault();
+    first.focus();
+  }
+});
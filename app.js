@@ -14,12 +14,28 @@
  * - Center-weighted scoring for focused objects
  * - Size validation to filter noise
  * - Real-time confidence feedback
+ * - Still-image mode for uploaded, dropped or pasted photos
  *
  * Dependencies:
  * - TensorFlow.js (https://www.tensorflow.org/js)
  * - COCO-SSD Model (object detection)
  * - MobileNet Model (image classification)
  * - mappings.js (material-to-category mappings)
+ * - rules.js (mapping rule engine, provides mapToRecycleBucket)
+ * - regions.js (region profiles: bins and rules per municipality)
+ * - i18n.js (translated texts, bin and item names)
+ * - accessibility.js (speech, vibration, screen-reader announcements)
+ * - model-config.js (local/remote model locations)
+ * - history.js (scan history in IndexedDB)
+ * - overrides.js (user corrections, consulted before the mappings)
+ * - mapping-editor.js (mappings edited in the browser)
+ * - custom-items.js (items taught in the browser)
+ * - products.js (barcodes and the product material database)
+ * - bin-output.js (decision events for smart sorting stations)
+ * - camera.js (camera picker, torch, zoom, camera errors)
+ * - guides.js (preparation tips shown under the HUD)
+ * - questions.js (follow-up questions for items a picture can't settle)
+ * - kiosk.js (unattended stations: auto-start, watchdog, settings PIN)
  *
  * Author: [Your Name]
  * Project: Recycle Cam - AI Waste Sorting Assistant
@@ -41,6 +57,7 @@ const tipsBanner = document.getElementById("tipsBanner");
 const tipIcon = document.getElementById("tipIcon");
 const tipText = document.getElementById("tipText");
 const confidenceMeter = document.getElementById("confidenceMeter");
+const confidenceBar = document.getElementById("confidenceBar");
 const confidenceFill = document.getElementById("confidenceFill");
 const confidenceValue = document.getElementById("confidenceValue");
 const hud = document.getElementById("hud");
@@ -49,23 +66,46 @@ const categoryIcon = document.getElementById("categoryIcon");
 const categoryValue = document.getElementById("categoryValue");
 const detectionDot = document.getElementById("detectionDot");
 const detectionText = document.getElementById("detectionText");
+const hudObjects = document.getElementById("hudObjects");
+const hudAlternatives = document.getElementById("hudAlternatives");
+const correctBtn = document.getElementById("correctBtn");
+const correctionMenu = document.getElementById("correctionMenu");
+const regionSelect = document.getElementById("regionSelect");
+const languageSelect = document.getElementById("languageSelect");
+const backendSelect = document.getElementById("backendSelect");
+const stillImage = document.getElementById("stillImage");
+const viewport = document.querySelector(".viewport");
+const photoInput = document.getElementById("photoInput");
+const photoBtn = document.getElementById("photoBtn");
+const startPhotoBtn = document.getElementById("startPhotoBtn");
+const cameraBtn = document.getElementById("cameraBtn");
+const freezeBtn = document.getElementById("freezeBtn");
 
 // ============================================================================
 // APPLICATION STATE
 // ============================================================================
 
 let stream = null;
-let cocoModel = null; // COCO-SSD for object detection (WHERE)
-let mobileNetModel = null; // MobileNet for classification (WHAT)
 let running = false;
+let scanning = false; // A scan is waiting for the models
+let lastScanAt = 0; // When the last scan finished (kiosk watchdog)
+let scanTimer = null; // Next scan, spaced out by nextScanDelay
+let frozen = false; // Freeze-frame: the loop is paused on one frame
 
 // ============================================================================
-// TEMPORAL SMOOTHING - Rolling Detection History
+// TEMPORAL SMOOTHING (see smoothing.js)
 // ============================================================================
 
-let detectionHistory = [];
-const HISTORY_SIZE = 5; // Number of frames to track (reduced for faster response)
-const MIN_FREQUENCY = 2; // Minimum occurrences to confirm detection (reduced for easier triggering)
+const hudSmoother = createSmoother(); // Picks the stable item for the HUD
+let hudLabel = null; // Raw MobileNet label behind the HUD card (for corrections)
+
+// ============================================================================
+// DUAL-MODEL PIPELINE SETTINGS (see also pipeline.js)
+// ============================================================================
+
+// Unmapped labels above this probability are reported as "unknown item";
+// below it MobileNet is most likely just looking at the background
+const UNKNOWN_MIN_PROBABILITY = 0.3;
 
 // ============================================================================
 // TIP TRACKING
@@ -78,281 +118,325 @@ let lowConfidenceFrames = 0;
 // CATEGORY CONFIGURATION
 // ============================================================================
 
-const categoryConfig = {
-  Compost: { icon: "🍂", class: "compost", key: "compost" },
-  "Paper / Cardboard": { icon: "📦", class: "paper", key: "paper" },
-  Metal: { icon: "🥫", class: "metal", key: "metal" },
-  Glass: { icon: "🍾", class: "glass", key: "glass" },
-  Plastic: { icon: "🧴", class: "plastic", key: "plastic" },
-  "Landfill / Unknown": { icon: "🗑️", class: "unknown", key: "unknown" },
-};
+// Bin id → HUD styling. Rebuilt whenever the region profile changes.
+let categoryConfig = buildCategoryConfig(activeProfile);
+
+/**
+ * Builds the HUD styling lookup for a region profile's bins.
+ * Built-in bins use their CSS class; region bins may bring a colour instead.
+ *
+ * @param {object} profile - Resolved region profile
+ * @returns {object} - { [bin id]: { icon, class, key, color } }
+ */
+function buildCategoryConfig(profile) {
+  const config = {};
+  for (const [id, bin] of Object.entries(profile.bins)) {
+    config[id] = {
+      icon: bin.icon,
+      class: bin.style || "custom",
+      key: bin.style || id,
+      color: bin.color || null,
+    };
+  }
+  return config;
+}
 
 // ============================================================================
 // TIP MESSAGES
 // ============================================================================
 
+// Tip → icon. The texts are "tips.<tip>" in the locale files.
 const tips = {
-  noObject: { icon: "🎯", text: "Place an object in the center" },
-  tooSmall: { icon: "📏", text: "Move closer to the object" },
-  lowConfidence: {
-    icon: "💡",
-    text: "Try better lighting or plain background",
-  },
-  success: { icon: "✅", text: "Object detected!" },
+  noObject: { icon: "🎯" },
+  tooSmall: { icon: "📏" },
+  lowConfidence: { icon: "💡" },
+  success: { icon: "✅" },
+  corrected: { icon: "🙏" },
+  unknown: { icon: "❓" },
+  uncertain: { icon: "🤔" },
+  unknownBarcode: { icon: "🏷️" },
 };
 
 // ============================================================================
-// WASTE CATEGORIZATION FUNCTION
+// DUAL-MODEL PIPELINE
 // ============================================================================
 
-// Friendly display names for demo items
-const demoItemNames = {
-  compost: "Onion",
-  plastic: "Water Bottle",
-  landfill: "Item", // Will be "Pen" or "Glasses" based on sub-match
-};
-
 /**
- * Maps a detected object label to a recycling category and friendly name.
- * DEMO VERSION: Only recognizes water bottle, pen, onion, glasses.
- * Returns null for unrecognized items (they will be ignored).
+ * Runs the dual-model pipeline on a frame: the models (pipeline.js, in the
+ * inference worker) find and classify the objects, then the taught items or
+ * the mappings decide the bin of each. A known product barcode in the frame
+ * (products.js) comes first - it is exact, the models only guess.
  *
- * @param {string} label - The object class from detection
- * @returns {object|null} - { bucket, displayName } or null if not recognized
- */
-function mapToRecycleBucket(label) {
-  const t = (label || "").toLowerCase();
-
-  // Check each category's material mappings (from mappings.js)
-  for (const [category, items] of Object.entries(materialMappings)) {
-    for (const item of items) {
-      // Exact match or partial match
-      if (t === item.toLowerCase() || t.includes(item.toLowerCase())) {
-        let bucket, displayName;
-
-        switch (category) {
-          case "compost":
-            bucket = "Compost";
-            displayName = "Onion";
-            break;
-          case "paper":
-            bucket = "Paper / Cardboard";
-            displayName = "Paper";
-            break;
-          case "metal":
-            bucket = "Metal";
-            displayName = "Metal Item";
-            break;
-          case "glass":
-            bucket = "Glass";
-            displayName = "Glass Item";
-            break;
-          case "plastic":
-            bucket = "Plastic";
-            displayName = "Water Bottle";
-            break;
-          case "landfill":
-            bucket = "Landfill";
-            // Check if it's glasses or pen based on which item matched
-            if (
-              [
-                "sunglass",
-                "sunglasses",
-                "eyeglass",
-                "eyeglasses",
-                "glasses",
-                "spectacles",
-                "reading glasses",
-                "goggles",
-                "loupe",
-                "lens",
-                "optical",
-                "frame",
-                "monocle",
-                "bifocal",
-              ].some((g) => t.includes(g))
-            ) {
-              displayName = "Glasses";
-            } else {
-              displayName = "Pen";
-            }
-            break;
-          default:
-            bucket = "Unknown";
-            displayName = "Item";
-        }
-
-        return { bucket, displayName };
-      }
-    }
+ * @param {HTMLVideoElement|HTMLImageElement} [source] - Frame to analyze
+ * @returns {Promise<object>} - { objects, topPrediction, topPredictions,
+ *   unknownCode }
+ *   objects: [{ bbox, className, probability, result, predictions, bins,
+ *            uncertain }] best first (see assessPredictions)
+ *   topPrediction: MobileNet's top label for the main region (for tips)
+ *   topPredictions: all MobileNet labels for the main region
+ *   unknownCode: a barcode in view that isn't in the product database
+ */
+async function analyzeFrame(source = video) {
+  const [regions, barcode] = await Promise.all([
+    analyzeSource(source, {
+      topK: CONFIDENCE_TOP_K,
+      // Embeddings are only needed to recognise taught items
+      embed: customItems.length > 0,
+    }),
+    findProduct(source),
+  ]);
+
+  const objects = barcode.object ? [barcode.object] : [];
+  for (const { bbox, predictions, embedding } of regions) {
+    // Items taught by the user (custom-items.js) go ahead of ImageNet labels
+    const match =
+      (embedding && classifyCustomItem(embedding)) ||
+      assessPredictions(predictions);
+    if (match) objects.push({ bbox, ...match, predictions });
   }
 
-  // DEMO: Return null for unrecognized items (ignore them)
-  return null;
+  const topPredictions = regions[0].predictions;
+  return {
+    objects,
+    topPrediction: topPredictions[0] || null,
+    topPredictions,
+    unknownCode: barcode.unknownCode,
+  };
 }
 
 // ============================================================================
-// UTILITY FUNCTIONS
+// UI UPDATE FUNCTIONS
 // ============================================================================
 
 /**
- * Finds the most frequent item in an array.
- * Used for temporal smoothing of detections.
+ * Updates the category display in the HUD.
  *
- * @param {Array} arr - Array of detection labels
- * @returns {Array} - [mostFrequentItem, frequency]
+ * @param {string|null} category - Bin id, or null for the scanning state
+ * @param {string|null} [objectName] - English item name
+ * @param {string|null} [guide] - Item guide shown under the card (findGuide)
  */
-function getMostFrequent(arr) {
-  if (arr.length === 0) return [null, 0];
+function updateCategoryUI(category, objectName = null, guide = null) {
+  renderItemGuide(category === null ? null : guide);
 
-  const freq = {};
-  arr.forEach((item) => {
-    freq[item] = (freq[item] || 0) + 1;
-  });
-
-  const sorted = Object.entries(freq).sort((a, b) => b[1] - a[1]);
-  return sorted[0] || [null, 0];
-}
-
-/**
- * Validates detection size and calculates adjusted score.
- * Filters out detections that are too small (noise) or too large (background).
- * Boosts score for centered and well-sized objects.
- *
- * @param {Array} bbox - Bounding box [x, y, width, height]
- * @param {number} score - Original confidence score
- * @returns {number|null} - Adjusted score or null if invalid
- */
-function validateAndScoreDetection(bbox, score) {
-  const [x, y, w, h] = bbox;
-  const frameArea = canvas.width * canvas.height;
-  const bboxArea = w * h;
-  const sizeRatio = bboxArea / frameArea;
-
-  // Reject too small (<2%) or too large (>85%) detections
-  if (sizeRatio < 0.02 || sizeRatio > 0.85) {
-    return null;
+  // Handle null/unrecognized items - show scanning state
+  if (category === null) {
+    categoryIcon.textContent = "🔍";
+    categoryIcon.className = "category-icon unknown";
+    categoryIcon.style.background = "";
+    hudCard.style.borderColor = "";
+    hudCard.setAttribute("data-category", "unknown");
+    categoryValue.textContent = t("hud.scanning");
+    detectionText.textContent = "—";
+    detectionDot.classList.add("inactive");
+    setHudLabel(null);
+    announceLive(liveResult, "");
+    return;
   }
 
-  // Calculate center distance (0 = center, 1 = corner)
-  const cx = x + w / 2;
-  const cy = y + h / 2;
-  const dx = (cx - canvas.width / 2) / (canvas.width / 2);
-  const dy = (cy - canvas.height / 2) / (canvas.height / 2);
-  const centerDist = Math.sqrt(dx * dx + dy * dy) / Math.sqrt(2);
-
-  // Boost for centered objects (up to 20%)
-  const centerBoost = (1 - centerDist) * 0.2;
+  const config =
+    categoryConfig[category] || categoryConfig[activeProfile.fallbackBin];
 
-  // Boost for good size (10-50% of frame is ideal)
-  const sizeBoost = sizeRatio >= 0.1 && sizeRatio <= 0.5 ? 0.1 : 0;
+  categoryIcon.textContent = config.icon;
+  categoryIcon.className = `category-icon ${config.class}`;
+  // Region bins may bring their own colour instead of a CSS class
+  categoryIcon.style.background = config.color || "";
+  hudCard.style.borderColor = config.color || "";
+  hudCard.setAttribute("data-category", config.key);
+  categoryValue.textContent = binLabel(category);
 
-  // Calculate boosted score, but cap at 1.0 (100%)
-  const boostedScore = score * (1 + centerBoost + sizeBoost);
-  return Math.min(boostedScore, 1.0);
+  if (objectName) {
+    // Clean up the object name for display
+    const displayName = objectName
+      .split(",")[0] // Take first part if comma-separated
+      .split("(")[0] // Remove parenthetical
+      .trim();
+    detectionText.textContent = itemName(displayName);
+    detectionDot.classList.remove("inactive");
+    announceLive(liveResult, resultText(category, displayName));
+  } else {
+    detectionText.textContent = t("hud.scanning");
+    detectionDot.classList.add("inactive");
+    announceLive(liveResult, resultText(category));
+  }
 }
 
-// ============================================================================
-// MOBILENET CLASSIFICATION
-// ============================================================================
+/**
+ * Shows an item no mapping rule knows about. The HUD says so plainly
+ * instead of guessing a bin.
+ *
+ * @param {string} objectName - Friendly (English) name of the unmapped label
+ */
+function showUnknownItem(objectName) {
+  renderItemGuide(null);
+  categoryIcon.textContent = "❓";
+  categoryIcon.className = "category-icon unknown";
+  categoryIcon.style.background = "";
+  hudCard.style.borderColor = "";
+  hudCard.setAttribute("data-category", "unknown");
+  categoryValue.textContent = t("hud.unknownItem");
+  detectionText.textContent = itemName(objectName);
+  detectionDot.classList.add("inactive");
+  announceLive(liveResult, t("feedback.unknown", { name: itemName(objectName) }));
+}
 
 /**
- * Crops a region from the video and classifies it with MobileNet.
- * This provides more specific labels than COCO-SSD alone.
+ * Shows the "Not sure" state: the competing bins and how likely each is,
+ * instead of one confident-looking answer.
  *
- * @param {Array} bbox - Bounding box [x, y, width, height]
- * @returns {Promise<Array>} - Array of classification predictions
+ * @param {object} object - Uncertain object from analyzeFrame
  */
-async function classifyRegion(bbox) {
-  const [x, y, w, h] = bbox;
+function showUncertainItem({ bins }) {
+  renderItemGuide(null);
+  categoryIcon.textContent = "🤔";
+  categoryIcon.className = "category-icon unknown";
+  categoryIcon.style.background = "";
+  hudCard.style.borderColor = "";
+  hudCard.setAttribute("data-category", "uncertain");
+  categoryValue.textContent = t("hud.notSure");
+  detectionText.textContent = bins
+    .slice(0, 3)
+    .map((bin) =>
+      t("hud.binShare", {
+        bin: binLabel(bin.category),
+        percent: Math.round(bin.confidence * 100),
+      })
+    )
+    .join(t("hud.or"));
+  detectionDot.classList.add("inactive");
+  announceLive(liveResult, uncertainText(bins));
+}
 
-  // Create offscreen canvas for cropping
-  const cropCanvas = document.createElement("canvas");
-  cropCanvas.width = 224; // MobileNet input size
-  cropCanvas.height = 224;
-  const cropCtx = cropCanvas.getContext("2d");
+/**
+ * Lists every sorted object under the HUD card when there is more than one.
+ * Products list each part of their packaging ("cap (HDPE 2) → Plastic").
+ *
+ * @param {Array} objects - Objects from analyzeFrame
+ */
+function updateObjectList(objects) {
+  const rows = objects.flatMap(({ result, uncertain }) =>
+    result.product
+      ? result.components.map((c) => [c.category, componentLabel(c)])
+      : [[result.category, objectLabel(result, uncertain)]]
+  );
 
-  // Add padding around the detection for better context
-  const padding = Math.min(w, h) * 0.1;
-  const srcX = Math.max(0, x - padding);
-  const srcY = Math.max(0, y - padding);
-  const srcW = Math.min(video.videoWidth - srcX, w + padding * 2);
-  const srcH = Math.min(video.videoHeight - srcY, h + padding * 2);
+  hudObjects.innerHTML = "";
+  hudObjects.hidden = rows.length < 2;
+  if (hudObjects.hidden) return;
 
-  // Draw cropped region scaled to 224x224
-  cropCtx.drawImage(video, srcX, srcY, srcW, srcH, 0, 0, 224, 224);
+  for (const [category, text] of rows) {
+    const config = categoryConfig[category];
+    const item = document.createElement("li");
+    item.className = "hud-object";
+    item.textContent = `${config ? config.icon : "🗑️"} ${text}`;
+    hudObjects.appendChild(item);
+  }
+}
 
-  // Classify with MobileNet
-  const predictions = await mobileNetModel.classify(cropCanvas);
-  return predictions;
+/**
+ * Shows MobileNet's runner-up labels and the bin each would go to.
+ * Used in still-image mode, where there is no smoothing over frames.
+ *
+ * @param {Array} predictions - MobileNet predictions, best first
+ * @param {string|null} chosenClassName - Label already shown in the HUD
+ */
+function updateAlternatives(predictions, chosenClassName) {
+  const alternatives = predictions
+    .filter((p) => p.className !== chosenClassName)
+    .slice(0, 3);
+
+  hudAlternatives.innerHTML = "";
+  hudAlternatives.hidden = alternatives.length === 0;
+
+  for (const pred of alternatives) {
+    const result = mapToRecycleBucket(pred.className);
+    const item = document.createElement("li");
+    item.textContent = t("hud.alternative", {
+      name: itemName(result.displayName),
+      bin: result.unknown ? t("hud.notInList") : binLabel(result.category),
+      percent: Math.round(pred.probability * 100),
+    });
+    hudAlternatives.appendChild(item);
+  }
 }
 
 /**
- * Classifies the CENTER region of the frame.
- * Used when COCO-SSD doesn't detect anything (for small objects like pens).
+ * Remembers which raw label the HUD card shows, and offers the
+ * "Wrong bin?" control only while there is one.
+ *
+ * @param {string|null} className - Raw MobileNet className, or null
  */
-async function classifyCenterRegion() {
-  // Define center region (middle 85% of frame - almost full frame)
-  const centerSize = Math.min(video.videoWidth, video.videoHeight) * 0.85;
-  const x = (video.videoWidth - centerSize) / 2;
-  const y = (video.videoHeight - centerSize) / 2;
+function setHudLabel(className) {
+  hudLabel = className;
+  correctBtn.hidden = !className;
+  if (!className) closeCorrectionMenu();
+}
 
-  // Create offscreen canvas
-  const cropCanvas = document.createElement("canvas");
-  cropCanvas.width = 224;
-  cropCanvas.height = 224;
-  const cropCtx = cropCanvas.getContext("2d");
+/**
+ * Opens the correction menu: one button per built-in bin, plus "Not this
+ * item". Keyboard focus moves to the first choice.
+ *
+ * Corrections keep the built-in bin, like products, so they land in the
+ * right bin of every region (a correction to paper is mixed recycling
+ * where paper goes there, and paper again in the default region).
+ */
+function openCorrectionMenu() {
+  correctionMenu.innerHTML = "";
+
+  const addChoice = (text, onPick) => {
+    const button = document.createElement("button");
+    button.className = "correction-choice";
+    button.textContent = text;
+    button.onclick = onPick;
+    correctionMenu.appendChild(button);
+  };
 
-  // Draw center region scaled to 224x224
-  cropCtx.drawImage(video, x, y, centerSize, centerSize, 0, 0, 224, 224);
+  for (const id of pickableBinIds()) {
+    addChoice(builtInBinLabel(id), () => applyCorrection({ bin: id }));
+  }
+  addChoice(t("hud.notThisItem"), () => applyCorrection({ ignore: true }));
+  addChoice(t("hud.cancel"), () => closeCorrectionMenu());
 
-  // Classify with MobileNet
-  const predictions = await mobileNetModel.classify(cropCanvas);
-  return { predictions, bbox: [x, y, centerSize, centerSize] };
+  correctionMenu.hidden = false;
+  correctBtn.setAttribute("aria-expanded", "true");
+  correctionMenu.firstChild.focus();
 }
 
-// ============================================================================
-// UI UPDATE FUNCTIONS
-// ============================================================================
+/**
+ * Closes the correction menu, giving focus back to "Wrong bin?" if it was
+ * in the menu.
+ */
+function closeCorrectionMenu() {
+  const hadFocus = correctionMenu.contains(document.activeElement);
+  correctionMenu.hidden = true;
+  correctBtn.setAttribute("aria-expanded", "false");
+  if (hadFocus && !correctBtn.hidden) correctBtn.focus();
+}
 
 /**
- * Updates the category display in the HUD.
+ * Saves the user's correction for the label on the HUD card and shows the
+ * new result right away.
+ *
+ * @param {object} correction - { bin } (built-in bin id) or { ignore: true }
  */
-function updateCategoryUI(bucket, objectName = null) {
-  // Handle null/unrecognized items - show scanning state
-  if (bucket === null) {
-    categoryIcon.textContent = "🔍";
-    categoryIcon.className = "category-icon unknown";
-    hudCard.setAttribute("data-category", "unknown");
-    categoryValue.textContent = "Scanning...";
-    detectionText.textContent = "—";
-    detectionDot.classList.add("inactive");
-    return;
-  }
+function applyCorrection(correction) {
+  if (!hudLabel) return;
 
-  const config = categoryConfig[bucket] || categoryConfig["Landfill / Unknown"];
+  saveLabelOverride(hudLabel, correction);
+  console.info(`Correction for "${hudLabel}":`, correction);
 
-  categoryIcon.textContent = config.icon;
-  categoryIcon.className = `category-icon ${config.class}`;
-  hudCard.setAttribute("data-category", config.key);
-  categoryValue.textContent = bucket;
+  // Earlier frames were sorted without the correction
+  resetSmoother(hudSmoother);
+  setHudLabel(null);
+  updateTip("corrected");
 
-  if (objectName) {
-    // Clean up the object name for display
-    const displayName = objectName
-      .split(",")[0] // Take first part if comma-separated
-      .split("(")[0] // Remove parenthetical
-      .trim();
-    detectionText.textContent = displayName;
-    detectionDot.classList.remove("inactive");
-  } else {
-    detectionText.textContent = "Scanning...";
-    detectionDot.classList.add("inactive");
-  }
+  if (!running && !stillImage.hidden) analyzeStillImage(false);
 }
 
 /**
  * Updates the tips banner with appropriate guidance.
+ *
+ * @param {string} tipKey - Key of tips
+ * @param {string|null} [objectName] - English item name
  */
 function updateTip(tipKey, objectName = null) {
   const tip = tips[tipKey];
@@ -360,9 +444,18 @@ function updateTip(tipKey, objectName = null) {
 
   if (tipKey === "success" && objectName) {
     const displayName = objectName.split(",")[0].split("(")[0].trim();
-    tipText.textContent = `Detected: ${displayName}`;
+    tipText.textContent = t("tips.detected", { name: itemName(displayName) });
+  } else if (tipKey === "unknown" && objectName) {
+    tipText.textContent = t("tips.unknownItem", { name: itemName(objectName) });
+  } else if (tipKey === "unknownBarcode") {
+    tipText.textContent = t("tips.unknownBarcode", { code: objectName });
   } else {
-    tipText.textContent = tip.text;
+    tipText.textContent = t(`tips.${tipKey}`);
+  }
+
+  // Results are announced from the HUD (liveResult); guidance from here
+  if (tipKey !== "success" && tipKey !== "uncertain") {
+    announceLive(liveStatus, tipText.textContent);
   }
 
   tipsBanner.classList.toggle("success", tipKey === "success");
@@ -370,22 +463,22 @@ function updateTip(tipKey, objectName = null) {
 
 /**
  * Updates the confidence meter display.
+ *
+ * @param {number} score - Confidence in the bin (0-1, see confidence.js)
  */
 function updateConfidence(score) {
-  // DEMO: Boost confidence display (multiply by 3, cap at 100%)
-  // This makes the demo look better - 25% real becomes 75% displayed
-  const boostedScore = Math.min(score * 3, 1.0);
-  const percent = Math.min(Math.round(boostedScore * 100), 100);
+  const percent = Math.min(Math.round(score * 100), 100);
 
   confidenceFill.style.width = `${percent}%`;
   confidenceValue.textContent = `${percent}%`;
+  confidenceBar.setAttribute("aria-valuenow", percent);
 
-  // Color thresholds based on boosted score
+  // Red while the result would be "not sure"
   confidenceFill.classList.remove("low", "medium", "high");
-  if (percent < 40) {
-    confidenceFill.classList.add("low"); // Red: below 40%
+  if (score < MIN_SURE_CONFIDENCE) {
+    confidenceFill.classList.add("low");
   } else if (percent < 70) {
-    confidenceFill.classList.add("medium"); // Yellow: 40-70%
+    confidenceFill.classList.add("medium"); // Yellow: sure, below 70%
   } else {
     confidenceFill.classList.add("high"); // Green: above 70%
   }
@@ -396,21 +489,13 @@ function updateConfidence(score) {
 // ============================================================================
 
 /**
- * Starts the camera stream.
+ * Starts the camera stream with the chosen camera (see camera.js).
+ * Also used to switch cameras while scanning.
  */
 async function startCamera() {
-  if (stream) stopCamera();
-
-  const constraints = {
-    audio: false,
-    video: {
-      facingMode: "environment",
-      width: { ideal: 1280 },
-      height: { ideal: 720 },
-    },
-  };
+  if (stream || replay) stopCamera();
 
-  stream = await navigator.mediaDevices.getUserMedia(constraints);
+  stream = await openCameraStream();
   video.srcObject = stream;
 
   await new Promise((resolve) => (video.onloadedmetadata = resolve));
@@ -418,18 +503,62 @@ async function startCamera() {
 
   canvas.width = video.videoWidth;
   canvas.height = video.videoHeight;
+  renderCameraControls();
+
+  // Switching cameras while frozen resumes scanning on the new one
+  if (running) scheduleScan();
 }
 
 /**
- * Stops the camera stream.
+ * Stops the camera stream (or the replayed video, see replay.js).
  */
 function stopCamera() {
+  stopRecording();
+  endReplay();
+  closeHazardWarning();
+  closeFollowUp();
   if (stream) {
     stream.getTracks().forEach((t) => t.stop());
     stream = null;
   }
   video.srcObject = null;
-  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  frozen = false;
+  renderFreezeButton();
+  renderCameraControls();
+  clearOverlay();
+}
+
+/**
+ * Shows whether the view is frozen on the freeze-frame button.
+ */
+function renderFreezeButton() {
+  freezeBtn.setAttribute("aria-pressed", String(frozen));
+  freezeBtn.textContent = t(frozen ? "camera.resume" : "camera.freeze");
+}
+
+/**
+ * Freezes the live view on the current frame and reads it once more the
+ * way a photo is read (no smoothing, runner-up labels shown), or goes back
+ * to scanning.
+ *
+ * @param {boolean} on - Freeze (true) or resume (false)
+ */
+async function setFrozen(on) {
+  if (!running || frozen === on) return;
+  frozen = on;
+  renderFreezeButton();
+
+  if (frozen) {
+    clearTimeout(scanTimer);
+    scanTimer = null;
+    video.pause();
+    await analyzeStillImage(false, video);
+  } else {
+    hudAlternatives.hidden = true;
+    resetSmoother(hudSmoother);
+    await video.play();
+    scheduleScan();
+  }
 }
 
 // ============================================================================
@@ -437,17 +566,25 @@ function stopCamera() {
 // ============================================================================
 
 /**
- * Draws a detection circle around the detected object.
+ * Clears all detection graphics.
  */
-function drawCircleBox(x, y, w, h, label, score) {
+function clearOverlay() {
   ctx.clearRect(0, 0, canvas.width, canvas.height);
+}
 
+/**
+ * Draws a detection circle around the detected object.
+ * Does not clear the canvas, so several objects can be drawn per frame -
+ * call clearOverlay() first.
+ */
+function drawCircleBox(x, y, w, h, label, score) {
   const cx = x + w / 2;
   const cy = y + h / 2;
   const r = Math.max(w, h) * 0.55;
 
-  // Color based on confidence (green = high, yellow = low)
-  const colorRGB = score > 0.6 ? "74, 222, 128" : "251, 191, 36";
+  // Color based on confidence (green = sure, yellow = not sure)
+  const colorRGB =
+    score >= MIN_SURE_CONFIDENCE ? "74, 222, 128" : "251, 191, 36";
 
   // Outer glow
   const gradient = ctx.createRadialGradient(cx, cy, r * 0.7, cx, cy, r * 1.3);
@@ -511,148 +648,744 @@ function drawCircleBox(x, y, w, h, label, score) {
   );
 }
 
-// ============================================================================
-// MAIN DETECTION LOOP (SIMPLIFIED - MOBILENET ONLY)
-// ============================================================================
+/**
+ * "Item → Bin" in the active language, with "?" when not sure.
+ *
+ * @param {object} result - Result from mapToRecycleBucket
+ * @param {boolean} uncertain - The bin is only a guess
+ * @returns {string}
+ */
+function objectLabel(result, uncertain) {
+  const label = t("hud.objectBin", {
+    name: itemName(result.displayName),
+    bin: binLabel(result.category),
+  });
+  return uncertain ? `${label}?` : label;
+}
 
 /**
- * Main detection loop - runs continuously when camera is active.
- * SIMPLIFIED FOR DEMO: Uses MobileNet directly on full frame.
- * No COCO-SSD dependency - just classifies whatever is in view.
+ * Draws one circle per object with its FRIENDLY name and its own bin, and
+ * lists them under the HUD card.
+ *
+ * @param {Array} objects - Objects from analyzeFrame
  */
-async function loop() {
-  if (!running) return;
-
-  if (mobileNetModel && video.readyState >= 2) {
-    try {
-      // Classify the full frame with MobileNet
-      const predictions = await mobileNetModel.classify(video);
-
-      // Log predictions for debugging (check browser console)
-      console.log(
-        "Top predictions:",
-        predictions
-          .slice(0, 3)
-          .map((p) => `${p.className}: ${(p.probability * 100).toFixed(1)}%`)
-      );
+function drawObjects(objects) {
+  clearOverlay();
+  for (const { bbox, probability, result, uncertain } of objects) {
+    const [x, y, w, h] = bbox;
+    drawCircleBox(x, y, w, h, objectLabel(result, uncertain), probability);
+  }
+  updateObjectList(objects);
+}
 
-      if (predictions.length > 0) {
-        // Check each prediction (top 3) for matches
-        let matched = false;
+/**
+ * Saves a confirmed classification to the scan history (history.js).
+ * Failures are logged only - history must never break scanning.
+ *
+ * @param {object} object - Object from analyzeFrame
+ */
+function recordScan({ className, probability, result }) {
+  addScan({
+    label: className,
+    probability,
+    bin: result.category,
+    bucket: result.bucket,
+    displayName: result.displayName,
+    region: activeProfile.id,
+  }).catch((err) => console.warn("Could not save scan:", err));
+}
 
-        for (const pred of predictions.slice(0, 3)) {
-          const result = mapToRecycleBucket(pred.className);
+/**
+ * Shows an item once its follow-up questions are answered (questions.js),
+ * with the feedback other items get when they become stable.
+ *
+ * @param {object} object - Object from analyzeFrame, with the answered bin
+ * @param {boolean} record - Save it to the scan history
+ * @param {boolean} publish - Send it to a smart bin
+ */
+function showAnsweredItem(object, record, publish) {
+  const { result } = object;
+  console.log("Answered:", describeMatch(result));
+  updateCategoryUI(result.category, result.displayName, findGuide(result));
+  updateTip("success", result.displayName);
+
+  // The answers may make it hazardous (chemicals left in a bottle)
+  const hazard = findHazard(object);
+  if (hazard) showHazardWarning(hazard);
+  else announceResult(object);
+
+  if (record) recordScan(object);
+  if (publish && !hazard) publishDecision(object);
+}
 
-          if (result !== null && pred.probability > 0.05) {
-            // Found a recognized item!
-            matched = true;
-            noDetectionFrames = 0;
+// ============================================================================
+// MAIN DETECTION LOOP (DUAL-MODEL)
+// ============================================================================
 
-            const { bucket, displayName } = result;
-            const finalScore = pred.probability;
+/**
+ * Main detection loop - runs continuously when camera is active.
+ * Every object found by analyzeFrame gets its own circle and bin; the HUD
+ * card follows the best-ranked object once smoothing.js finds it stable.
+ */
+async function loop() {
+  scanTimer = null;
+  // One scan at a time; none while the tab is hidden or the view is frozen
+  if (!running || scanning || frozen || document.hidden) return;
 
-            // Add to detection history (use displayName for consistency)
-            detectionHistory.push(displayName);
-            if (detectionHistory.length > HISTORY_SIZE) {
-              detectionHistory.shift();
-            }
+  // Models or video not ready yet - try again shortly
+  if (!inferenceInfo || video.readyState < 2) {
+    scheduleScan();
+    return;
+  }
 
-            // Draw detection circle with FRIENDLY name (not MobileNet label)
-            const size = Math.min(canvas.width, canvas.height) * 0.7;
-            const x = (canvas.width - size) / 2;
-            const y = (canvas.height - size) / 2;
-            drawCircleBox(x, y, size, size, displayName, finalScore);
-            updateConfidence(finalScore);
-
-            // Update tips with friendly name
-            if (finalScore < 0.15) {
-              updateTip("lowConfidence");
-            } else {
-              updateTip("success", displayName);
+  scanning = true;
+  const frameTime = video.currentTime; // Logged during replays
+  try {
+    const frame = await analyzeFrame();
+    lastScanAt = Date.now();
+    // Items already answered (questions.js) keep the bin of their answers
+    const objects = frame.objects.map((o) => answeredObject(o));
+    const { topPrediction, unknownCode } = frame;
+
+    // A photo may have replaced the camera (or the view was frozen) while
+    // we were classifying
+    if (!running || frozen) return;
+
+    // Log matches for debugging (check browser console)
+    console.log(
+      "Objects:",
+      objects.map(
+        (o) =>
+          `${o.className}: ${(o.probability * 100).toFixed(1)}% → ${describeMatch(o.result)}`
+      )
+    );
+
+    // The best-ranked object (or nothing) goes into the smoother
+    const [top] = objects;
+    // All "not sure" frames share one track, whichever bin leads. In kiosk
+    // mode, items leave the HUD after a while (kiosk.js)
+    const { stable, changed } = updateKiosk(
+      updateSmoother(
+        hudSmoother,
+        top
+          ? {
+              key: top.uncertain ? "uncertain" : top.result.displayName,
+              weight: top.probability,
+              value: top,
             }
+          : null
+      )
+    );
+    // The answers stay with the item only while it stays in view
+    if (changed) forgetFollowUp(stable && stable.value);
+    const shown = stable && answeredObject(stable.value);
+
+    // A hazardous item gets a safety warning instead of its result
+    // (hazards.js); scanning goes on behind it until it is acknowledged
+    const hazard = stable && changed ? findHazard(shown) : null;
+    if (hazard) {
+      showHazardWarning(hazard);
+      drawObjects(objects);
+      if (hazard.sure) {
+        const { result } = shown;
+        updateCategoryUI(result.category, result.displayName, findGuide(result));
+        // Counted in the history, but never sent to a smart bin
+        recordScan(shown);
+      }
+    }
+    if (hazardWarningOpen()) {
+      if (replay) logReplayFrame(frameTime, objects, hazardHudState(), changed);
+      scheduleScan();
+      return;
+    }
 
-            // Get stable detection from history
-            const [stableName, freq] = getMostFrequent(detectionHistory);
-            if (freq >= MIN_FREQUENCY && stableName) {
-              targetZone.classList.add("detected");
-              updateCategoryUI(bucket, stableName);
-            }
+    // An item a picture can't settle asks follow-up questions before its
+    // result counts (questions.js); scanning goes on behind them
+    if (stable && needsFollowUp(shown)) {
+      drawObjects(objects);
+      askFollowUp(shown, (object) => showAnsweredItem(object, true, true));
+    }
+    if (followUpOpen()) {
+      if (replay) logReplayFrame(frameTime, objects, followUpHudState(), changed);
+      scheduleScan();
+      return;
+    }
 
-            break; // Stop checking other predictions
-          }
-        }
+    if (top) {
+      noDetectionFrames = 0;
+      drawObjects(objects);
+      updateConfidence(top.probability);
 
-        if (!matched) {
-          // Show what MobileNet sees (for debugging)
-          const topPred = predictions[0];
-          ctx.clearRect(0, 0, canvas.width, canvas.height);
-          noDetectionFrames++;
-          targetZone.classList.remove("detected");
+      // Update tips with friendly name
+      if (top.uncertain) {
+        updateTip("uncertain");
+      } else {
+        updateTip("success", top.result.displayName);
+      }
+    } else {
+      clearOverlay();
+      updateObjectList([]);
+      noDetectionFrames++;
+      updateConfidence(0);
+    }
 
+    // What the HUD shows after this frame (for the replay log)
+    let hudState = { state: "scanning" };
+
+    if (stable) {
+      // The HUD shows the stable item - its bin, not this frame's
+      const { className, result, uncertain, bins } = shown;
+      hudState = uncertain
+        ? { state: "uncertain", bins: bins.slice(0, 3).map((b) => b.category) }
+        : { state: "item", bin: result.category, item: result.displayName };
+      targetZone.classList.add("detected");
+      if (uncertain) {
+        showUncertainItem(stable.value);
+      } else {
+        updateCategoryUI(result.category, result.displayName, findGuide(result));
+      }
+      // Taught items and products are fixed where they were added, not by
+      // overrides
+      setHudLabel(result.custom || result.product ? null : className);
+
+      if (changed) {
+        // Spoken / vibrated once per new result, not every frame
+        announceResult(shown);
+        // Save (and send to a smart bin) each newly confirmed item once -
+        // guesses are not saved
+        if (!uncertain) {
+          recordScan(shown);
+          publishDecision(shown);
+        }
+      }
+    } else {
+      targetZone.classList.remove("detected");
+
+      const topResult =
+        !top && topPrediction && mapToRecycleBucket(topPrediction.className);
+      if (
+        topResult &&
+        topPrediction.probability >= UNKNOWN_MIN_PROBABILITY &&
+        !topResult.ignored
+      ) {
+        // A clear object that no rule covers - report it, don't drop it
+        console.info(`Unmapped label: "${topPrediction.className}"`);
+        hudState = { state: "unknown", label: topPrediction.className };
+        showUnknownItem(topResult.displayName);
+        setHudLabel(topPrediction.className);
+        updateTip("unknown", topResult.displayName);
+      } else {
+        if (topResult) {
           // Show the label in tips so user can tell us what to add
-          tipText.textContent = `Seeing: ${topPred.className}`;
+          tipText.textContent = t("tips.seeing", {
+            name: topPrediction.className,
+          });
           tipIcon.textContent = "🔍";
-
-          updateCategoryUI(null, null);
-          updateConfidence(0);
         }
+        updateCategoryUI(null, null);
       }
-    } catch (e) {
-      console.warn("Classification failed:", e);
     }
+
+    // Point at the Products panel, where the code can be added
+    if (unknownCode && !(top && top.result.product)) {
+      updateTip("unknownBarcode", unknownCode);
+    }
+
+    if (replay) logReplayFrame(frameTime, objects, hudState, changed);
+  } catch (e) {
+    console.warn("Classification failed:", e);
+  } finally {
+    scanning = false;
   }
 
-  requestAnimationFrame(loop);
+  scheduleScan();
+}
+
+/**
+ * Schedules the next scan after the adaptive delay (see nextScanDelay).
+ * Nothing is scheduled while stopped, frozen or while the tab is hidden,
+ * nor during a replay that isn't playing in real time (replay.js steps
+ * through the frames itself).
+ */
+function scheduleScan() {
+  clearTimeout(scanTimer);
+  scanTimer =
+    running && !frozen && !document.hidden && (!replay || replay.autoScan)
+      ? setTimeout(loop, nextScanDelay())
+      : null;
 }
 
 // ============================================================================
-// EVENT HANDLERS
+// REGION SELECTION
 // ============================================================================
 
 /**
- * Start button click handler.
+ * Switches to another region profile and remembers the choice.
+ * On failure the previous region stays active.
+ *
+ * @param {string} id - Region id
+ * @param {boolean} [userInitiated] - Show an alert if loading fails
+ */
+async function selectRegion(id, userInitiated = false) {
+  try {
+    const profile = await loadRegionProfile(id);
+    activateProfile(profile);
+    categoryConfig = buildCategoryConfig(profile);
+    saveRegionId(profile.id);
+
+    // Old detections (and answers) were sorted with the old rules
+    resetSmoother(hudSmoother);
+    closeFollowUp();
+    if (frozen) analyzeStillImage(false, video);
+    else if (running) updateCategoryUI(null, null);
+  } catch (err) {
+    console.error("Error loading region:", err);
+    if (userInitiated) alert(t("errors.region", { message: err.message }));
+  }
+  regionSelect.value = activeProfile.id;
+}
+
+/**
+ * Fills the region picker (names in the active language).
+ */
+function renderRegionOptions() {
+  if (!regionIndex) return; // Not loaded yet - initRegionPicker fills it
+
+  regionSelect.innerHTML = "";
+  for (const region of regionIndex) {
+    const option = document.createElement("option");
+    option.value = region.id;
+    option.textContent = translateName("regions", region.id, region.name);
+    regionSelect.appendChild(option);
+  }
+  regionSelect.value = activeProfile.id;
+}
+
+/**
+ * Fills the region picker and restores the remembered region.
+ */
+async function initRegionPicker() {
+  await loadRegionIndex();
+  renderRegionOptions();
+  await selectRegion(getSavedRegionId());
+}
+
+// ============================================================================
+// LANGUAGE SELECTION
+// ============================================================================
+
+/**
+ * Switches the language (see i18n.js) and redraws every text that isn't
+ * marked up with data-i18n. On failure the previous language stays active.
+ *
+ * @param {string} code - Language code
+ * @param {boolean} [userInitiated] - Remember the choice; alert on failure
+ */
+async function selectLanguage(code, userInitiated = false) {
+  try {
+    await activateLocale(code);
+    if (userInitiated) saveLocale(code);
+
+    renderRegionOptions();
+    updateBackendLabel();
+    if (!historyPanel.hidden) openHistory();
+    if (!overridesPanel.hidden) renderOverrides();
+    if (!teachPanel.hidden) {
+      renderTeachBins();
+      renderCustomItems();
+      updateTeachStatus();
+    }
+    if (!productsPanel.hidden) {
+      renderProductBins();
+      renderProducts();
+    }
+    if (!mappingsPanel.hidden) renderMappingEditor();
+    if (!binOutputPanel.hidden) renderBinOutputPanel();
+
+    // The HUD refills itself in the new language
+    resetSmoother(hudSmoother);
+    renderFreezeButton();
+    renderRecordButton();
+    renderReplayControls();
+    renderHazardWarning();
+    renderFollowUp();
+    if (stream) renderCameraControls();
+    if (frozen) {
+      analyzeStillImage(false, video);
+    } else if (running) {
+      updateCategoryUI(null, null);
+      updateTip("noObject");
+    } else if (!stillImage.hidden) {
+      analyzeStillImage(false);
+    }
+  } catch (err) {
+    console.error("Error loading language:", err);
+    if (userInitiated) alert(t("errors.language", { message: err.message }));
+  }
+  languageSelect.value = activeLocale.code;
+}
+
+/**
+ * Fills the language picker and switches to the detected language.
+ */
+async function initLanguagePicker() {
+  const locales = await loadLocaleIndex();
+
+  languageSelect.innerHTML = "";
+  for (const locale of locales) {
+    const option = document.createElement("option");
+    option.value = locale.code;
+    option.textContent = locale.name; // Each language in its own name
+    languageSelect.appendChild(option);
+  }
+
+  await selectLanguage(detectLocale());
+}
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+
+/**
+ * Loads both AI models once (see inference.js), showing the loading
+ * overlay meanwhile.
+ */
+async function loadModels() {
+  if (inferenceInfo) return;
+
+  loadingOverlay.classList.add("active");
+  const loadingText = document.querySelector(".loading-text");
+  loadingText.textContent = t("loading.models");
+
+  try {
+    const { backend, worker } = await startInference();
+    const where = worker ? "in a worker" : "on the page";
+    console.info(`Models running on ${backend} ${where}`);
+    updateBackendLabel();
+  } finally {
+    loadingOverlay.classList.remove("active");
+  }
+}
+
+/**
+ * Shows which backend "Auto" picked once the models are loaded.
+ */
+function updateBackendLabel() {
+  if (!inferenceInfo) return;
+  backendSelect.options[0].textContent = t("header.engineAutoActive", {
+    backend: inferenceInfo.backend,
+  });
+}
+
+/**
+ * Shows the scanning UI (tips, confidence meter, HUD).
+ */
+function showScannerUI() {
+  startOverlay.classList.add("hidden");
+  tipsBanner.classList.add("visible");
+  confidenceMeter.classList.add("visible");
+  hud.style.display = "block";
+  photoBtn.hidden = false;
+  videoBtn.hidden = false;
+}
+
+/**
  * Initializes camera, loads AI models, and starts detection.
+ *
+ * @param {boolean} [userInitiated] - Show an alert if starting fails
  */
-startBtn.onclick = async () => {
+async function startLiveCamera(userInitiated = true) {
   startBtn.disabled = true;
-  startBtn.textContent = "Starting...";
+  startBtn.textContent = t("start.starting");
 
   try {
     // Start camera
     await startCamera();
+    leaveStillMode();
 
     // Show loading overlay
-    loadingOverlay.classList.add("active");
     startOverlay.classList.add("hidden");
+    await loadModels();
 
-    // Load BOTH models in parallel for faster startup
-    const loadingText = document.querySelector(".loading-text");
-    loadingText.textContent = "Loading AI models...";
-
-    const [coco, mobile] = await Promise.all([
-      cocoSsd.load({ base: "mobilenet_v2" }),
-      mobilenet.load({ version: 2, alpha: 1.0 }),
-    ]);
-
-    cocoModel = coco;
-    mobileNetModel = mobile;
-
-    // Hide loading, show UI
-    loadingOverlay.classList.remove("active");
+    // Show UI
     targetZone.classList.add("visible");
-    tipsBanner.classList.add("visible");
-    confidenceMeter.classList.add("visible");
-    hud.style.display = "block";
+    showScannerUI();
 
     // Start detection loop
+    resetSmoother(hudSmoother);
     running = true;
     updateCategoryUI(null, null);
     updateTip("noObject");
-    requestAnimationFrame(loop);
+    scheduleScan();
   } catch (err) {
     console.error("Error starting:", err);
     startBtn.disabled = false;
-    startBtn.textContent = "▶ Start Camera";
-    alert("Could not start. Please allow camera permissions and try again.");
+    startBtn.textContent = t("start.startCamera");
+    if (userInitiated) alert(cameraErrorMessage(err) || t("errors.start"));
   }
+}
+
+// ============================================================================
+// STILL-IMAGE MODE
+// ============================================================================
+
+/**
+ * Loads a File/Blob into the still image element.
+ *
+ * @param {Blob} file - Image file
+ */
+async function loadStillImage(file) {
+  releaseStillImage();
+  stillImage.src = URL.createObjectURL(file);
+  await stillImage.decode();
+}
+
+/**
+ * Frees the object URL of the current still image.
+ */
+function releaseStillImage() {
+  if (stillImage.src) {
+    URL.revokeObjectURL(stillImage.src);
+    stillImage.removeAttribute("src");
+  }
+}
+
+/**
+ * Hides the still photo and shows the live video again.
+ */
+function leaveStillMode() {
+  stillImage.hidden = true;
+  releaseStillImage();
+  video.hidden = false;
+  cameraBtn.hidden = true;
+  hudAlternatives.hidden = true;
+}
+
+/**
+ * Classifies an uploaded, dropped or pasted photo with the same pipeline
+ * as the live camera, then shows the result and the top alternatives.
+ *
+ * @param {Blob} file - Image file
+ */
+async function classifyPhoto(file) {
+  // Stop the live loop - the photo replaces the camera feed
+  running = false;
+  stopCamera();
+
+  try {
+    await loadStillImage(file);
+    await loadModels();
+
+    // Show the photo where the video was
+    stillImage.hidden = false;
+    video.hidden = true;
+    cameraBtn.hidden = false;
+    targetZone.classList.remove("visible", "detected");
+    showScannerUI();
+
+    const { width, height } = getSourceSize(stillImage);
+    canvas.width = width;
+    canvas.height = height;
+
+    await analyzeStillImage(true);
+  } catch (err) {
+    console.error("Error classifying photo:", err);
+    alert(t("errors.photo"));
+  }
+}
+
+/**
+ * Runs the pipeline on the photo currently shown (or the frozen video
+ * frame) and fills the HUD.
+ *
+ * @param {boolean} record - Save the result to the scan history
+ * @param {HTMLImageElement|HTMLVideoElement} [source] - Still frame
+ */
+async function analyzeStillImage(record, source = stillImage) {
+  const { objects, topPrediction, topPredictions } = await analyzeFrame(source);
+  console.log("Photo objects:", objects.map((o) => describeMatch(o.result)));
+
+  if (objects.length > 0) {
+    const object = answeredObject(objects[0]);
+    const { className, probability, result, predictions, uncertain } = object;
+    // The bin of an item with follow-up questions waits for the answers
+    // (questions.js); the HUD shows the guess meanwhile
+    const asks = needsFollowUp(object);
+    const hazard = asks ? null : findHazard(object);
+    // As in the live view, a possible hazard (a close second guess) is not
+    // counted
+    if (record && !uncertain && !asks && (!hazard || hazard.sure)) {
+      recordScan(object);
+    }
+    if (hazard) {
+      showHazardWarning(hazard);
+    } else if (asks) {
+      askFollowUp(object, (answered) =>
+        showAnsweredItem(answered, record, false)
+      );
+    } else {
+      announceResult(object);
+    }
+    drawObjects(objects);
+    updateConfidence(probability);
+    if (uncertain) {
+      showUncertainItem(objects[0]);
+      updateTip("uncertain");
+    } else {
+      updateCategoryUI(result.category, result.displayName, findGuide(result));
+      updateTip("success", result.displayName);
+    }
+    setHudLabel(result.custom || result.product ? null : className);
+    updateAlternatives(predictions, className);
+    return;
+  }
+
+  clearOverlay();
+  updateObjectList([]);
+  updateConfidence(0);
+
+  const topResult = topPrediction && mapToRecycleBucket(topPrediction.className);
+  if (
+    topResult &&
+    topPrediction.probability >= UNKNOWN_MIN_PROBABILITY &&
+    !topResult.ignored
+  ) {
+    showUnknownItem(topResult.displayName);
+    setHudLabel(topPrediction.className);
+    updateTip("unknown", topResult.displayName);
+  } else {
+    updateCategoryUI(null, null);
+    updateTip("noObject");
+  }
+  updateAlternatives(topPredictions, null);
+}
+
+// ============================================================================
+// EVENT HANDLERS
+// ============================================================================
+
+/**
+ * Region picker change handler.
+ */
+regionSelect.onchange = () => selectRegion(regionSelect.value, true);
+
+/**
+ * Language picker change handler.
+ */
+languageSelect.onchange = () => selectLanguage(languageSelect.value, true);
+
+/**
+ * Engine (tfjs backend) picker. The backend is chosen when the models
+ * load, so a change after that takes a restart.
+ */
+backendSelect.value = getSavedBackend();
+backendSelect.onchange = () => {
+  saveBackend(backendSelect.value);
+  if (inferenceInfo) location.reload();
+};
+
+/**
+ * Escape closes the safety warning, skips the follow-up questions, closes
+ * the correction menu, or else the open panel.
+ */
+document.addEventListener("keydown", (e) => {
+  if (e.key !== "Escape") return;
+  if (hazardWarningOpen()) {
+    closeHazardWarning();
+    return;
+  }
+  if (followUpOpen()) {
+    skipFollowUp();
+    return;
+  }
+  if (!correctionMenu.hidden) {
+    closeCorrectionMenu();
+    return;
+  }
+  const panel = topOpenPanel();
+  if (panel) closePanel(panel);
+});
+
+/**
+ * Pause scanning while the tab is hidden (saves battery), resume on return.
+ */
+document.addEventListener("visibilitychange", () => {
+  if (!document.hidden && !scanning) scheduleScan();
+});
+
+/**
+ * Start button click handler.
+ */
+startBtn.onclick = () => startLiveCamera();
+
+/**
+ * Photo buttons open the file picker; the chosen photo is classified.
+ */
+photoBtn.onclick = () => photoInput.click();
+startPhotoBtn.onclick = () => photoInput.click();
+photoInput.onchange = () => {
+  const [file] = photoInput.files;
+  photoInput.value = ""; // Allow picking the same file again
+  if (file) classifyPhoto(file);
 };
+
+/**
+ * "Wrong bin?" on the HUD card opens the correction menu.
+ */
+correctBtn.onclick = () => openCorrectionMenu();
+
+/**
+ * Back to the live camera from still-image mode.
+ */
+cameraBtn.onclick = () => startLiveCamera();
+
+/**
+ * Freeze-frame: pause on the current frame for a careful read, or resume.
+ */
+freezeBtn.onclick = () => setFrozen(!frozen);
+
+/**
+ * Drag-and-drop a photo (or a video to replay) onto the viewport.
+ */
+viewport.addEventListener("dragover", (e) => {
+  e.preventDefault();
+  viewport.classList.add("drag-over");
+});
+viewport.addEventListener("dragleave", () => {
+  viewport.classList.remove("drag-over");
+});
+viewport.addEventListener("drop", (e) => {
+  e.preventDefault();
+  viewport.classList.remove("drag-over");
+  const files = [...e.dataTransfer.files];
+  const photo = files.find((f) => f.type.startsWith("image/"));
+  const clip = files.find((f) => f.type.startsWith("video/"));
+  if (photo) classifyPhoto(photo);
+  else if (clip) startReplay(clip);
+});
+
+/**
+ * Paste a photo from the clipboard (Ctrl+V / Cmd+V).
+ */
+document.addEventListener("paste", (e) => {
+  const item = [...e.clipboardData.items].find((i) => i.type.startsWith("image/"));
+  if (item) classifyPhoto(item.getAsFile());
+});
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+// Restore the remembered language and region before the user starts scanning
+initLanguagePicker();
+initRegionPicker();
+
+// Unattended stations start scanning by themselves (see kiosk.js)
+if (kioskSettings.enabled) startKiosk();
+
+// Offline support: precache the app, runtime and model weights (see sw.js)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker
+    .register("sw.js")
+    .catch((err) => console.warn("Service worker not registered:", err));
+}
@@ -0,0 +1,319 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - BARCODE DECODER
+ * ============================================================================
+ *
+ * Reads EAN-13, UPC-A and EAN-8 barcodes from one row of pixels. Used where
+ * the browser has no BarcodeDetector (see products.js), which scans a few
+ * rows of each frame with decodeBarcodeRow.
+ *
+ * A row is turned into alternating dark/light runs. EAN-13 is 95 modules
+ * wide: start guard (3 runs), 6 digits of 4 runs, middle guard (5 runs),
+ * 6 digits, end guard (3 runs) - 59 runs. Each digit's 4 runs are scaled to
+ * 7 modules and compared with the L, G and R patterns; the L/G mix of the
+ * left half encodes the first digit. UPC-A is EAN-13 starting with 0.
+ * EAN-8 is the same with 4 + 4 digits, left half all L. The check digit
+ * must match. Rows are tried in both directions (upside-down codes).
+ *
+ * Codes are returned as GTIN strings: 13 digits, or 8 for EAN-8.
+ *
+ * No DOM access - can be loaded in Node for evaluation.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// PATTERNS
+// ============================================================================
+
+// L-code run widths per digit (light, dark, light, dark). R-codes have the
+// same widths starting with dark; G-codes are the L widths reversed.
+const EAN_L_PATTERNS = [
+  [3, 2, 1, 1],
+  [2, 2, 2, 1],
+  [2, 1, 2, 2],
+  [1, 4, 1, 1],
+  [1, 1, 3, 2],
+  [1, 2, 3, 1],
+  [1, 1, 1, 4],
+  [1, 3, 1, 2],
+  [1, 2, 1, 3],
+  [3, 1, 1, 2],
+];
+const EAN_G_PATTERNS = EAN_L_PATTERNS.map((p) => [...p].reverse());
+
+// L/G parity of the six left digits → first digit of an EAN-13
+const EAN_FIRST_DIGIT_PARITY = [
+  "LLLLLL",
+  "LLGLGG",
+  "LLGGLG",
+  "LLGGGL",
+  "LGLLGG",
+  "LGGLLG",
+  "LGGGLL",
+  "LGLGLG",
+  "LGLGGL",
+  "LGGLGL",
+];
+
+const EAN13_RUNS = 59;
+const EAN8_RUNS = 43;
+
+// Largest summed difference (in modules) accepted between a digit's runs
+// and its pattern
+const MAX_DIGIT_ERROR = 1.5;
+
+// Guard bars may be this far off one module before the candidate is dropped
+const GUARD_TOLERANCE = 0.6;
+
+// Light margin (in modules) required on both sides of a symbol
+const QUIET_ZONE_MODULES = 3;
+
+// How far (0-255) below its neighbourhood a pixel must be to count as dark,
+// so sensor noise on plain backgrounds doesn't turn into bars
+const MIN_CONTRAST = 8;
+
+// ============================================================================
+// ROW PREPARATION
+// ============================================================================
+
+/**
+ * Converts RGBA pixels to luminance (0-255).
+ *
+ * @param {Uint8ClampedArray} rgba - ImageData.data of one row
+ * @returns {Float32Array}
+ */
+function toLuminance(rgba) {
+  const gray = new Float32Array(rgba.length / 4);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] =
+      0.299 * rgba[i * 4] + 0.587 * rgba[i * 4 + 1] + 0.114 * rgba[i * 4 + 2];
+  }
+  return gray;
+}
+
+/**
+ * Splits a row into dark/light runs. A pixel is dark when it is below the
+ * mean of its neighbourhood, so uneven lighting along the row is fine.
+ *
+ * @param {ArrayLike<number>} gray - Luminance of one row
+ * @returns {Array<object>} - [{ dark, start, width }] left to right
+ */
+function rowToRuns(gray) {
+  const n = gray.length;
+  const radius = Math.max(16, Math.round(n / 10));
+
+  // Prefix sums for the moving mean
+  const sums = new Float64Array(n + 1);
+  for (let i = 0; i < n; i++) sums[i + 1] = sums[i] + gray[i];
+
+  const runs = [];
+  for (let i = 0; i < n; i++) {
+    const from = Math.max(0, i - radius);
+    const to = Math.min(n, i + radius + 1);
+    const mean = (sums[to] - sums[from]) / (to - from);
+    const dark = gray[i] < mean - MIN_CONTRAST;
+
+    const last = runs[runs.length - 1];
+    if (last && last.dark === dark) last.width++;
+    else runs.push({ dark, start: i, width: 1 });
+  }
+  return runs;
+}
+
+// ============================================================================
+// DIGITS
+// ============================================================================
+
+/**
+ * Matches 4 runs against a set of patterns.
+ *
+ * @param {Array<number>} widths - Run widths
+ * @param {Array<Array<number>>} patterns - Patterns per digit
+ * @returns {object} - { digit, error }
+ */
+function matchDigit(widths, patterns) {
+  const total = widths.reduce((a, b) => a + b, 0);
+  const scaled = widths.map((w) => (w * 7) / total);
+
+  let best = { digit: -1, error: Infinity };
+  patterns.forEach((pattern, digit) => {
+    const error = pattern.reduce((sum, p, k) => sum + Math.abs(scaled[k] - p), 0);
+    if (error < best.error) best = { digit, error };
+  });
+  return best;
+}
+
+/**
+ * True when every run of a guard is close to one module wide.
+ */
+function guardFits(widths, moduleSize) {
+  return widths.every(
+    (w) => Math.abs(w / moduleSize - 1) <= GUARD_TOLERANCE
+  );
+}
+
+/**
+ * Checks the last digit of a GTIN (EAN-8, UPC-A, EAN-13, ...).
+ *
+ * @param {string} code - All digits including the check digit
+ * @returns {boolean}
+ */
+function isValidGtin(code) {
+  if (!/^\d{8,14}$/.test(code)) return false;
+  const digits = code.split("").map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, d, i) => acc + d * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+// ============================================================================
+// SYMBOLS
+// ============================================================================
+
+/**
+ * Decodes an EAN-13 / EAN-8 symbol starting at a dark run.
+ *
+ * @param {Array<number>} widths - Widths of all runs of the row
+ * @param {number} at - Index of the first start-guard bar
+ * @param {number} digitsPerHalf - 6 for EAN-13, 4 for EAN-8
+ * @returns {string|null} - The code, or null
+ */
+function decodeSymbolAt(widths, at, digitsPerHalf) {
+  const runCount = digitsPerHalf === 6 ? EAN13_RUNS : EAN8_RUNS;
+  const modules = digitsPerHalf * 14 + 11;
+  const symbol = widths.slice(at, at + runCount);
+  if (symbol.length < runCount) return null;
+
+  const moduleSize = symbol.reduce((a, b) => a + b, 0) / modules;
+  const quietZone = QUIET_ZONE_MODULES * moduleSize;
+  const before = at > 0 ? widths[at - 1] : Infinity;
+  const after = at + runCount < widths.length ? widths[at + runCount] : Infinity;
+  if (before < quietZone || after < quietZone) return null;
+
+  const middle = 3 + digitsPerHalf * 4;
+  if (
+    !guardFits(symbol.slice(0, 3), moduleSize) ||
+    !guardFits(symbol.slice(middle, middle + 5), moduleSize) ||
+    !guardFits(symbol.slice(runCount - 3), moduleSize)
+  ) {
+    return null;
+  }
+
+  let digits = "";
+  let parity = "";
+  for (let d = 0; d < digitsPerHalf * 2; d++) {
+    const left = d < digitsPerHalf;
+    const offset = left ? 3 + d * 4 : middle + 5 + (d - digitsPerHalf) * 4;
+    const runs = symbol.slice(offset, offset + 4);
+
+    // R-codes have the L widths; only the left half of EAN-13 uses G-codes
+    const l = matchDigit(runs, EAN_L_PATTERNS);
+    const g =
+      left && digitsPerHalf === 6
+        ? matchDigit(runs, EAN_G_PATTERNS)
+        : { error: Infinity };
+    const best = g.error < l.error ? g : l;
+    if (best.error > MAX_DIGIT_ERROR) return null;
+
+    digits += best.digit;
+    if (left) parity += best === g ? "G" : "L";
+  }
+
+  if (digitsPerHalf === 6) {
+    const first = EAN_FIRST_DIGIT_PARITY.indexOf(parity);
+    if (first < 0) return null;
+    digits = first + digits;
+  }
+  return isValidGtin(digits) ? digits : null;
+}
+
+/**
+ * Looks for an EAN-13 or EAN-8 symbol in a list of runs.
+ *
+ * @param {Array<object>} runs - Runs from rowToRuns
+ * @returns {object|null} - { code, startRun, endRun }
+ */
+function findSymbol(runs) {
+  const widths = runs.map((r) => r.width);
+  for (let at = 0; at < runs.length; at++) {
+    if (!runs[at].dark) continue;
+    for (const [digitsPerHalf, runCount] of [
+      [6, EAN13_RUNS],
+      [4, EAN8_RUNS],
+    ]) {
+      const code = decodeSymbolAt(widths, at, digitsPerHalf);
+      if (code) return { code, startRun: at, endRun: at + runCount - 1 };
+    }
+  }
+  return null;
+}
+
+/**
+ * Decodes a barcode crossing a row of pixels, in either direction.
+ *
+ * @param {ArrayLike<number>} gray - Luminance of one row (see toLuminance)
+ * @returns {object|null} - { code, format, start, end } with start/end the
+ *   pixel span of the symbol, or null
+ */
+function decodeBarcodeRow(gray) {
+  const runs = rowToRuns(gray);
+
+  for (const reversed of [false, true]) {
+    const ordered = reversed ? [...runs].reverse() : runs;
+    const hit = findSymbol(ordered);
+    if (!hit) continue;
+
+    const first = ordered[hit.startRun];
+    const last = ordered[hit.endRun];
+    const start = Math.min(first.start, last.start);
+    const end = Math.max(first.start + first.width, last.start + last.width);
+    return {
+      code: hit.code,
+      format: hit.code.length === 8 ? "ean_8" : "ean_13",
+      start,
+      end,
+    };
+  }
+  return null;
+}
+
+// ============================================================================
+// CODE NORMALISATION
+// ============================================================================
+
+/**
+ * Expands an 8-digit UPC-E code to its 12-digit UPC-A form.
+ *
+ * @param {string} code - Number system, 6 digits, check digit
+ * @returns {string}
+ */
+function expandUpcE(code) {
+  const [ns, d1, d2, d3, d4, d5, d6, check] = code.split("");
+  let body;
+  if (d6 <= "2") body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  else if (d6 === "3") body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  else if (d6 === "4") body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  else body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  return `${ns}${body}${check}`;
+}
+
+/**
+ * Turns a scanned code into the GTIN used as product key: 13 digits for
+ * EAN-13 / UPC-A / UPC-E, 8 for EAN-8.
+ *
+ * @param {string} raw - Code as read
+ * @param {string} [format] - "ean_13", "ean_8", "upc_a" or "upc_e"
+ * @returns {string|null} - GTIN, or null if it isn't a valid code
+ */
+function normalizeGtin(raw, format) {
+  let code = String(raw).replace(/\D/g, "");
+  if (format === "upc_e" && code.length === 8) code = expandUpcE(code);
+  if (code.length === 12) code = `0${code}`;
+  if (code.length !== 13 && code.length !== 8) return null;
+  return isValidGtin(code) ? code : null;
+}
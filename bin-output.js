@@ -0,0 +1,545 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - SMART BIN OUTPUT
+ * ============================================================================
+ *
+ * Lets Recycle Cam drive a physical sorting station: every confirmed (stable,
+ * not "not sure") result is sent as a decision event, so the station can
+ * open the right lid or light the right bin.
+ *
+ *   {
+ *     "type": "decision",
+ *     "id": "lq9x2c-4f7k1a",        // same id on every retry
+ *     "bin": "plastic",             // bin id of the active region
+ *     "bucket": "Plastic",          // its English label
+ *     "item": "Water bottle",
+ *     "label": "water bottle",      // raw model label (or barcode)
+ *     "confidence": 0.92,
+ *     "timestamp": "2024-05-02T09:14:03.512Z",
+ *     "region": "default"
+ *   }
+ *
+ * Outputs ("transports") are pluggable - see registerBinOutput. Built in:
+ * - WebSocket: JSON text messages; the station answers
+ *   { "type": "ack", "id": ... } for each event
+ * - HTTP POST: the event as JSON body; any 2xx response is the ack
+ * - Web Serial: one JSON event per line; the station answers ack lines
+ *
+ * Repeats of the same item within the debounce time are not sent again.
+ * Events the station doesn't acknowledge in time are retried with a
+ * growing delay, in order; decisions that are too old are dropped instead
+ * of opening a lid for an item that is long gone.
+ *
+ * tools/mock-bin-server.js stands in for a station while testing.
+ * Settings are remembered in localStorage.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const BIN_OUTPUT_STORAGE_KEY = "recyclecam.binOutput";
+const BIN_OUTPUT_DEFAULTS = {
+  transport: "off",
+  url: "",
+  debounceMs: 3000, // Same item again within this time isn't sent
+  retries: 3, // Extra attempts when the station doesn't acknowledge
+};
+
+const BIN_ACK_TIMEOUT_MS = 2000; // Time the station has to acknowledge
+const BIN_RETRY_DELAY_MS = 500; // Doubled after every failed attempt
+const BIN_EVENT_MAX_AGE_MS = 10000; // Older decisions are dropped, not sent
+const SERIAL_BAUD_RATE = 115200;
+
+// ============================================================================
+// ACKNOWLEDGEMENTS
+// ============================================================================
+
+/**
+ * Matches acknowledgement messages ({ "type": "ack", "id": ... }) to the
+ * events waiting for them.
+ *
+ * @returns {object} - { wait(id), receive(text) }
+ */
+function createAckWaiter() {
+  const pending = new Map();
+  return {
+    // Resolves on the event's ack, rejects after BIN_ACK_TIMEOUT_MS
+    wait(id) {
+      return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          pending.delete(id);
+          reject(new Error("No acknowledgement"));
+        }, BIN_ACK_TIMEOUT_MS);
+        pending.set(id, () => {
+          clearTimeout(timer);
+          resolve();
+        });
+      });
+    },
+    receive(text) {
+      let message;
+      try {
+        message = JSON.parse(text);
+      } catch (e) {
+        console.warn("Bin sent something that isn't JSON:", text);
+        return;
+      }
+      const done = message && message.type === "ack" && pending.get(message.id);
+      if (done) {
+        pending.delete(message.id);
+        done();
+      }
+    },
+  };
+}
+
+// ============================================================================
+// TRANSPORTS
+// ============================================================================
+// A transport is created from the settings and returns
+//   { send(event): Promise - resolves once the station acknowledged,
+//     close() }
+
+/**
+ * WebSocket transport. Connects on the first event and again after the
+ * connection drops.
+ *
+ * @param {object} settings - { url }
+ * @returns {object} - Transport
+ */
+function createWebSocketOutput({ url }) {
+  const acks = createAckWaiter();
+  let opening = null; // Promise of the open socket
+
+  function open() {
+    if (!opening) {
+      opening = new Promise((resolve, reject) => {
+        const socket = new WebSocket(url);
+        socket.onopen = () => resolve(socket);
+        socket.onmessage = (e) => acks.receive(e.data);
+        socket.onerror = () => reject(new Error(`Could not connect to ${url}`));
+        socket.onclose = () => {
+          opening = null;
+        };
+      });
+      opening.catch(() => {
+        opening = null;
+      });
+    }
+    return opening;
+  }
+
+  return {
+    async send(event) {
+      const socket = await open();
+      const acked = acks.wait(event.id);
+      socket.send(JSON.stringify(event));
+      await acked;
+    },
+    close() {
+      if (opening) opening.then((socket) => socket.close(), () => {});
+      opening = null;
+    },
+  };
+}
+
+/**
+ * HTTP POST transport. A 2xx response is the acknowledgement.
+ *
+ * @param {object} settings - { url }
+ * @returns {object} - Transport
+ */
+function createHttpOutput({ url }) {
+  return {
+    async send(event) {
+      const controller = new AbortController();
+      const timer = setTimeout(() => controller.abort(), BIN_ACK_TIMEOUT_MS);
+      try {
+        const res = await fetch(url, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(event),
+          signal: controller.signal,
+        });
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+    close() {},
+  };
+}
+
+// Serial port picked with "Choose serial port" (browsers only allow that
+// from a click)
+let serialPort = null;
+
+/**
+ * Web Serial transport: newline-delimited JSON both ways. Uses the port
+ * picked in the panel, or one the user allowed on an earlier visit.
+ *
+ * @returns {object} - Transport
+ */
+function createSerialOutput() {
+  const acks = createAckWaiter();
+  let connection = null; // { port, writer, reader, readDone }
+
+  async function readLines(reader) {
+    let buffer = "";
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+      const lines = buffer.split("\n");
+      buffer = lines.pop();
+      for (const line of lines) {
+        if (line.trim()) acks.receive(line);
+      }
+    }
+  }
+
+  async function open() {
+    if (connection) return connection;
+    if (!("serial" in navigator)) throw new Error(t("binOutput.noSerial"));
+    const port = serialPort || (await navigator.serial.getPorts())[0];
+    if (!port) throw new Error(t("binOutput.noPort"));
+
+    await port.open({ baudRate: SERIAL_BAUD_RATE });
+    const decoder = new TextDecoderStream();
+    const readDone = port.readable.pipeTo(decoder.writable).catch(() => {});
+    const reader = decoder.readable.getReader();
+    readLines(reader).catch((err) => console.warn("Serial read stopped:", err));
+
+    connection = { port, writer: port.writable.getWriter(), reader, readDone };
+    return connection;
+  }
+
+  return {
+    async send(event) {
+      const { writer } = await open();
+      const acked = acks.wait(event.id);
+      await writer.write(new TextEncoder().encode(`${JSON.stringify(event)}\n`));
+      await acked;
+    },
+    async close() {
+      if (!connection) return;
+      const { port, writer, reader, readDone } = connection;
+      connection = null;
+      await reader.cancel().catch(() => {});
+      await readDone;
+      writer.releaseLock();
+      await port.close().catch(() => {});
+    },
+  };
+}
+
+// Transport name → { create, label }
+const binOutputs = {
+  websocket: { create: createWebSocketOutput, label: "WebSocket" },
+  http: { create: createHttpOutput, label: "HTTP POST" },
+  serial: { create: createSerialOutput, label: "Web Serial" },
+};
+
+/**
+ * Adds a transport (e.g. MQTT over WebSocket, BLE) to the panel's choices.
+ *
+ * @param {string} name - Transport name stored in the settings
+ * @param {Function} create - (settings) => { send(event), close() }
+ * @param {string} [label] - Name in the transport picker
+ */
+function registerBinOutput(name, create, label = name) {
+  binOutputs[name] = { create, label };
+  renderBinTransports();
+}
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Reads the output settings (output off when nothing was saved).
+ *
+ * @returns {object} - { transport, url, debounceMs, retries }
+ */
+function loadBinOutputSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BIN_OUTPUT_STORAGE_KEY));
+    return { ...BIN_OUTPUT_DEFAULTS, ...saved };
+  } catch (e) {
+    return { ...BIN_OUTPUT_DEFAULTS }; // Storage blocked or corrupt
+  }
+}
+
+let binSettings = loadBinOutputSettings();
+let binOutput = null; // Active transport, null when off
+let binOutputClosing = Promise.resolve(); // Last transport closing
+
+/**
+ * Saves the output settings.
+ */
+function saveBinOutputSettings() {
+  try {
+    localStorage.setItem(BIN_OUTPUT_STORAGE_KEY, JSON.stringify(binSettings));
+  } catch (e) {
+    // Not fatal - the settings only last for this session
+  }
+}
+
+/**
+ * Closes the current transport and opens the one in the settings. The new
+ * one is only created once the old one has closed: a serial port can't be
+ * opened again while it is still closing.
+ */
+async function applyBinOutputSettings() {
+  const previous = binOutput;
+  binOutput = null; // Nothing more is sent to it while it closes
+  const closing = binOutputClosing
+    .then(() => previous && previous.close())
+    .catch((err) => console.warn("Could not close the bin output:", err));
+  binOutputClosing = closing;
+  await closing;
+  if (binOutputClosing !== closing) return; // Changed again meanwhile
+
+  const output = binOutputs[binSettings.transport];
+  const needsUrl = binSettings.transport !== "serial";
+  binOutput =
+    output && (binSettings.url || !needsUrl) ? output.create(binSettings) : null;
+}
+
+// ============================================================================
+// DECISIONS
+// ============================================================================
+
+const binQueue = []; // [{ event, queued }] waiting to be delivered
+let binSending = false;
+let lastDecision = null; // { bin, item, time } of the last event queued
+
+/**
+ * Builds the decision event for a confirmed object.
+ *
+ * @param {object} object - Object from analyzeFrame
+ * @returns {object} - Decision event
+ */
+function decisionEvent({ className, probability, result }) {
+  return {
+    type: "decision",
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    bin: result.category,
+    bucket: result.bucket,
+    item: result.displayName,
+    label: className,
+    confidence: Math.round(probability * 1000) / 1000,
+    timestamp: new Date().toISOString(),
+    region: activeProfile.id,
+  };
+}
+
+/**
+ * Sends a confirmed result to the station. Call it once per new stable
+ * result; repeats within the debounce time are skipped.
+ *
+ * @param {object} object - Object from analyzeFrame
+ */
+function publishDecision(object) {
+  if (!binOutput) return;
+
+  const event = decisionEvent(object);
+  const now = Date.now();
+  if (
+    lastDecision &&
+    lastDecision.bin === event.bin &&
+    lastDecision.item === event.item &&
+    now - lastDecision.time < binSettings.debounceMs
+  ) {
+    return;
+  }
+  lastDecision = { bin: event.bin, item: event.item, time: now };
+  queueBinEvent(event);
+}
+
+/**
+ * Queues an event and starts delivering if idle.
+ *
+ * @param {object} event - Decision event
+ */
+function queueBinEvent(event) {
+  binQueue.push({ event, queued: Date.now() });
+  drainBinQueue();
+}
+
+/**
+ * Delivers queued events one at a time, in order.
+ */
+async function drainBinQueue() {
+  if (binSending) return;
+  binSending = true;
+  while (binQueue.length > 0) {
+    const { event, queued } = binQueue.shift();
+    await deliverBinEvent(event, queued);
+  }
+  binSending = false;
+}
+
+/**
+ * Sends one event until the station acknowledges it or the retries run out.
+ * The event is dropped once it is older than BIN_EVENT_MAX_AGE_MS, also
+ * between retries: the item may be gone by then.
+ *
+ * @param {object} event - Decision event
+ * @param {number} queued - When the event was queued
+ * @returns {Promise<boolean>} - Acknowledged
+ */
+async function deliverBinEvent(event, queued) {
+  const bin = binLabel(event.bin, event.bucket);
+  for (let attempt = 0; attempt <= binSettings.retries; attempt++) {
+    if (attempt > 0) {
+      const delay = BIN_RETRY_DELAY_MS * 2 ** (attempt - 1);
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+    if (!binOutput) return false; // Switched off meanwhile
+    if (Date.now() - queued > BIN_EVENT_MAX_AGE_MS) {
+      console.warn(`Dropped decision ${event.id}: too old to act on`);
+      return false;
+    }
+
+    try {
+      await binOutput.send(event);
+      showBinStatus(t("binOutput.acked", { item: event.item, bin }));
+      return true;
+    } catch (err) {
+      console.warn(`Bin did not confirm ${event.id} (try ${attempt + 1}):`, err);
+    }
+  }
+  showBinStatus(
+    t("binOutput.failed", { bin, count: binSettings.retries + 1 })
+  );
+  return false;
+}
+
+// ============================================================================
+// SMART BIN PANEL
+// ============================================================================
+
+const binOutputPanel = document.getElementById("binOutputPanel");
+const binOutputBtn = document.getElementById("binOutputBtn");
+const binOutputCloseBtn = document.getElementById("binOutputCloseBtn");
+const binOutputStatus = document.getElementById("binOutputStatus");
+const binTransport = document.getElementById("binTransport");
+const binUrlField = document.getElementById("binUrlField");
+const binUrl = document.getElementById("binUrl");
+const binDebounce = document.getElementById("binDebounce");
+const binRetries = document.getElementById("binRetries");
+const binPortBtn = document.getElementById("binPortBtn");
+const binTestBtn = document.getElementById("binTestBtn");
+
+/**
+ * Shows the latest delivery result in the panel.
+ *
+ * @param {string} text - Status text
+ */
+function showBinStatus(text) {
+  binOutputStatus.textContent = text;
+}
+
+/**
+ * Fills the transport picker ("Off" first).
+ */
+function renderBinTransports() {
+  binTransport.innerHTML = "";
+  for (const [name, { label }] of [
+    ["off", { label: "Off" }],
+    ...Object.entries(binOutputs),
+  ]) {
+    const key = `binOutput.transport_${name}`;
+    const option = document.createElement("option");
+    option.value = name;
+    option.textContent = t(key) === key ? label : t(key);
+    binTransport.appendChild(option);
+  }
+  binTransport.value = binOutputs[binSettings.transport]
+    ? binSettings.transport
+    : "off";
+}
+
+/**
+ * Shows the settings and only the fields the transport uses.
+ */
+function renderBinOutputPanel() {
+  renderBinTransports();
+  const { transport } = binSettings;
+  binUrl.value = binSettings.url;
+  binUrlField.hidden = transport === "off" || transport === "serial";
+  binDebounce.value = binSettings.debounceMs / 1000;
+  binRetries.value = binSettings.retries;
+  binPortBtn.hidden = transport !== "serial";
+  binTestBtn.disabled = !binOutput;
+  if (!binOutput) showBinStatus(t("binOutput.off"));
+}
+
+/**
+ * Takes the settings from the panel, saves and applies them.
+ */
+async function updateBinOutputSettings() {
+  binSettings = {
+    transport: binTransport.value,
+    url: binUrl.value.trim(),
+    debounceMs: Math.max(0, Number(binDebounce.value) || 0) * 1000,
+    retries: Math.max(0, Math.round(Number(binRetries.value) || 0)),
+  };
+  saveBinOutputSettings();
+  await applyBinOutputSettings();
+  renderBinOutputPanel();
+}
+
+binOutputBtn.onclick = () => {
+  renderBinOutputPanel();
+  openPanel(binOutputPanel);
+};
+binOutputCloseBtn.onclick = () => closePanel(binOutputPanel);
+
+binTransport.onchange = () => updateBinOutputSettings();
+binUrl.onchange = () => updateBinOutputSettings();
+binDebounce.onchange = () => updateBinOutputSettings();
+binRetries.onchange = () => updateBinOutputSettings();
+
+binPortBtn.onclick = async () => {
+  if (!("serial" in navigator)) {
+    alert(t("binOutput.noSerial"));
+    return;
+  }
+  try {
+    serialPort = await navigator.serial.requestPort();
+  } catch (err) {
+    return; // Picker closed without a choice
+  }
+  await applyBinOutputSettings(); // Reconnect on the new port
+  renderBinOutputPanel();
+};
+
+/**
+ * Sends a test event for the active region's fallback bin, ignoring the
+ * debounce time.
+ */
+binTestBtn.onclick = () => {
+  const category = activeProfile.fallbackBin;
+  queueBinEvent({
+    ...decisionEvent({
+      className: "test",
+      probability: 1,
+      result: {
+        category,
+        bucket: activeProfile.bins[category].label,
+        displayName: "Test",
+      },
+    }),
+    test: true,
+  });
+  showBinStatus(t("binOutput.testSent"));
+};
+
+applyBinOutputSettings();
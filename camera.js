@@ -0,0 +1,270 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - CAMERA CONTROLS
+ * ============================================================================
+ *
+ * Which camera the live view uses and what it can do:
+ * - Camera picker: every video input, remembered per device
+ * - Front/back switch (facingMode) for phones
+ * - Torch and zoom, shown only when the camera track supports them
+ * - Readable errors for the common getUserMedia failures (permission
+ *   denied, no camera, camera in use)
+ *
+ * Starting and stopping the stream, and freeze-frame, stay in app.js;
+ * this file builds the constraints and drives the track once it runs.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CAMERA_STORAGE_KEY = "recyclecam.camera";
+const CAMERA_RESOLUTION = { width: 1280, height: 720 }; // Ideal, not required
+const ZOOM_STEPS = [1, 2, 4]; // Zoom levels the zoom button steps through
+
+// getUserMedia error name → message key
+const CAMERA_ERRORS = {
+  NotAllowedError: "errors.cameraDenied",
+  SecurityError: "errors.cameraDenied",
+  NotFoundError: "errors.cameraMissing",
+  OverconstrainedError: "errors.cameraMissing",
+  NotReadableError: "errors.cameraInUse",
+  AbortError: "errors.cameraInUse",
+};
+
+// ============================================================================
+// CAMERA CHOICE
+// ============================================================================
+
+/**
+ * Reads the camera chosen on an earlier visit.
+ *
+ * @returns {object} - { deviceId, facingMode } (deviceId null: any camera
+ *   facing that way)
+ */
+function loadCameraChoice() {
+  const choice = { deviceId: null, facingMode: "environment" };
+  try {
+    return { ...choice, ...JSON.parse(localStorage.getItem(CAMERA_STORAGE_KEY)) };
+  } catch (e) {
+    return choice; // Storage blocked or corrupt
+  }
+}
+
+let cameraChoice = loadCameraChoice();
+
+/**
+ * Remembers the camera choice for the next visit.
+ */
+function saveCameraChoice() {
+  try {
+    localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(cameraChoice));
+  } catch (e) {
+    console.warn("Could not remember camera:", e);
+  }
+}
+
+/**
+ * getUserMedia constraints for the chosen camera.
+ *
+ * @param {boolean} [exact] - Require the chosen device (false: let the
+ *   browser pick another one if it is gone)
+ * @returns {MediaStreamConstraints}
+ */
+function cameraConstraints(exact = true) {
+  const { deviceId, facingMode } = cameraChoice;
+  return {
+    audio: false,
+    video: {
+      ...(deviceId && exact ? { deviceId: { exact: deviceId } } : { facingMode }),
+      width: { ideal: CAMERA_RESOLUTION.width },
+      height: { ideal: CAMERA_RESOLUTION.height },
+    },
+  };
+}
+
+/**
+ * Opens the chosen camera. A remembered camera that is unplugged falls
+ * back to any camera facing the same way.
+ *
+ * @returns {Promise<MediaStream>}
+ */
+async function openCameraStream() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    throw Object.assign(new Error("No camera API"), { name: "NotFoundError" });
+  }
+  try {
+    return await navigator.mediaDevices.getUserMedia(cameraConstraints());
+  } catch (err) {
+    const gone = err.name === "OverconstrainedError" || err.name === "NotFoundError";
+    if (!cameraChoice.deviceId || !gone) throw err;
+    console.warn("Remembered camera not available, using another:", err);
+    return navigator.mediaDevices.getUserMedia(cameraConstraints(false));
+  }
+}
+
+/**
+ * Message for a camera start failure, by its DOMException name.
+ *
+ * @param {Error} err - Error from getUserMedia
+ * @returns {string|null} - Message, or null when it isn't a camera error
+ */
+function cameraErrorMessage(err) {
+  const key = err && CAMERA_ERRORS[err.name];
+  return key ? t(key) : null;
+}
+
+// ============================================================================
+// TRACK FEATURES
+// ============================================================================
+
+/**
+ * The video track of the live stream, if any.
+ *
+ * @returns {MediaStreamTrack|null}
+ */
+function cameraTrack() {
+  return stream ? stream.getVideoTracks()[0] || null : null;
+}
+
+/**
+ * What the live track can do (torch, zoom range); {} where the browser
+ * can't tell (Firefox, Safari).
+ *
+ * @returns {object} - MediaTrackCapabilities
+ */
+function cameraCapabilities() {
+  const track = cameraTrack();
+  return track && track.getCapabilities ? track.getCapabilities() : {};
+}
+
+/**
+ * Zoom levels the track supports, from ZOOM_STEPS.
+ *
+ * @returns {Array<number>} - Empty when zoom isn't supported
+ */
+function zoomLevels() {
+  const { zoom } = cameraCapabilities();
+  if (!zoom) return [];
+  const levels = ZOOM_STEPS.filter((z) => z >= zoom.min && z <= zoom.max);
+  return levels.length > 1 ? levels : [];
+}
+
+/**
+ * Applies one advanced constraint (torch, zoom) to the live track.
+ *
+ * @param {object} constraint - e.g. { torch: true }
+ * @returns {Promise<boolean>} - Applied
+ */
+async function applyTrackConstraint(constraint) {
+  const track = cameraTrack();
+  if (!track) return false;
+  try {
+    await track.applyConstraints({ advanced: [constraint] });
+    return true;
+  } catch (err) {
+    console.warn("Camera did not accept", constraint, err);
+    return false;
+  }
+}
+
+// ============================================================================
+// CAMERA CONTROLS
+// ============================================================================
+
+const cameraControls = document.getElementById("cameraControls");
+const cameraSelect = document.getElementById("cameraSelect");
+const flipBtn = document.getElementById("flipBtn");
+const torchBtn = document.getElementById("torchBtn");
+const zoomBtn = document.getElementById("zoomBtn");
+
+let torchOn = false;
+let zoomLevel = 1;
+
+/**
+ * Fills the camera picker. Device names are only known once the user has
+ * allowed the camera.
+ */
+async function renderCameraOptions() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const cameras = devices.filter((d) => d.kind === "videoinput");
+  const track = cameraTrack();
+  const current = track && track.getSettings().deviceId;
+
+  cameraSelect.innerHTML = "";
+  cameras.forEach((camera, i) => {
+    const option = document.createElement("option");
+    option.value = camera.deviceId;
+    option.textContent = camera.label || t("camera.numbered", { number: i + 1 });
+    cameraSelect.appendChild(option);
+  });
+  if (current) cameraSelect.value = current;
+
+  cameraSelect.hidden = cameras.length < 2;
+  flipBtn.hidden = cameras.length < 2;
+}
+
+/**
+ * Shows the controls for the live camera and the features its track has.
+ * Call after every camera start.
+ */
+async function renderCameraControls() {
+  cameraControls.hidden = !stream;
+  if (!stream) return;
+
+  // A new track starts with the torch off and no zoom
+  const { torch } = cameraCapabilities();
+  torchOn = false;
+  zoomLevel = 1;
+  torchBtn.hidden = !torch;
+  torchBtn.setAttribute("aria-pressed", "false");
+  zoomBtn.hidden = zoomLevels().length === 0;
+  zoomBtn.textContent = t("camera.zoom", { level: zoomLevel });
+
+  try {
+    await renderCameraOptions();
+  } catch (err) {
+    console.warn("Could not list cameras:", err);
+  }
+}
+
+/**
+ * Switches the live view to another camera.
+ *
+ * @param {object} choice - { deviceId } or { facingMode }
+ */
+async function switchCamera(choice) {
+  cameraChoice = { ...cameraChoice, deviceId: null, ...choice };
+  saveCameraChoice();
+  try {
+    await startCamera();
+  } catch (err) {
+    console.error("Error switching camera:", err);
+    alert(cameraErrorMessage(err) || t("errors.start"));
+  }
+}
+
+cameraSelect.onchange = () => switchCamera({ deviceId: cameraSelect.value });
+
+flipBtn.onclick = () => {
+  const track = cameraTrack();
+  const facing =
+    (track && track.getSettings().facingMode) || cameraChoice.facingMode;
+  switchCamera({ facingMode: facing === "user" ? "environment" : "user" });
+};
+
+torchBtn.onclick = async () => {
+  if (await applyTrackConstraint({ torch: !torchOn })) torchOn = !torchOn;
+  torchBtn.setAttribute("aria-pressed", String(torchOn));
+};
+
+zoomBtn.onclick = async () => {
+  const levels = zoomLevels();
+  const next = levels[(levels.indexOf(zoomLevel) + 1) % levels.length];
+  if (await applyTrackConstraint({ zoom: next })) zoomLevel = next;
+  zoomBtn.textContent = t("camera.zoom", { level: zoomLevel });
+};
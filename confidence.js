@@ -0,0 +1,147 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - BIN CONFIDENCE
+ * ============================================================================
+ *
+ * Decides how sure the app is about the bin of one object.
+ *
+ * MobileNet spreads its probability over many labels, and several of them
+ * often lead to the same bin ("water bottle", "pop bottle", "water jug").
+ * A bin's score is the probability MobileNet gives to all of its top-k
+ * labels that map to that bin. Its confidence is that score calibrated, so
+ * that a bin shown at 80% is right about 80% of the time.
+ *
+ * Calibration is Platt scaling: confidence = sigmoid(slope * logit(score)
+ * + offset), with CONFIDENCE_CALIBRATION fitted on labelled photos by
+ * tools/evaluate.js, which also reports how reliable the confidence is
+ * before and after. It keeps the order of the bins. Slope 1 and offset 0
+ * leave the score as it is - fit them on photos from the station's own
+ * camera.
+ *
+ * The result is "not sure" when the best bin is below MIN_SURE_CONFIDENCE,
+ * or when the runner-up bin is within MIN_SURE_MARGIN of it. The HUD then
+ * shows the competing bins instead of a confident-looking single answer.
+ * tools/evaluate.js also suggests MIN_SURE_CONFIDENCE for an accuracy the
+ * results it is sure about should reach.
+ *
+ * No DOM access - can be loaded in Node for evaluation.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const CONFIDENCE_TOP_K = 5; // MobileNet labels considered per object
+const MIN_SHOWN_CONFIDENCE = 0.15; // Below this the crop is treated as background
+const MIN_SURE_CONFIDENCE = 0.5; // Below this the result is "not sure"
+const MIN_SURE_MARGIN = 0.2; // Lead over the runner-up bin needed to be sure
+
+// Platt scaling of the bin scores, fitted by tools/evaluate.js
+const CONFIDENCE_CALIBRATION = { slope: 1, offset: 0 };
+
+// ============================================================================
+// CALIBRATION
+// ============================================================================
+
+let confidenceCalibration = CONFIDENCE_CALIBRATION;
+
+/**
+ * Replaces the calibration used by scoreBins (tools/evaluate.js compares
+ * the fitted one with CONFIDENCE_CALIBRATION).
+ *
+ * @param {object} calibration - { slope, offset }
+ */
+function setConfidenceCalibration(calibration) {
+  confidenceCalibration = calibration;
+}
+
+/**
+ * Log-odds of a probability, kept finite at 0 and 1.
+ */
+function logit(p) {
+  const clamped = Math.min(Math.max(p, 1e-6), 1 - 1e-6);
+  return Math.log(clamped / (1 - clamped));
+}
+
+/**
+ * The calibrated confidence for a bin score.
+ *
+ * @param {number} score - Summed MobileNet probability of a bin (0-1)
+ * @param {object} [calibration] - { slope, offset }
+ * @returns {number} - 0-1
+ */
+function calibrateScore(score, { slope, offset } = confidenceCalibration) {
+  if (slope === 1 && offset === 0) return score;
+  return 1 / (1 + Math.exp(-(slope * logit(score) + offset)));
+}
+
+// ============================================================================
+// AGGREGATION
+// ============================================================================
+
+/**
+ * Adds up MobileNet's probabilities per bin and calibrates the sums.
+ * Unmapped and ignored labels count for no bin.
+ *
+ * @param {Array} predictions - MobileNet predictions, best first
+ * @param {object} [ruleSet] - Rule set to map labels with
+ * @returns {Array<object>} - [{ category, score, confidence, labels }]
+ *   best first
+ *   category: bin id
+ *   score: summed probability of its labels; confidence: score calibrated
+ *   labels: [{ className, probability, result }] in prediction order
+ */
+function scoreBins(predictions, ruleSet = getActiveRuleSet()) {
+  const bins = new Map();
+
+  for (const { className, probability } of predictions) {
+    const result = mapToRecycleBucket(className, ruleSet);
+    if (result.unknown) continue;
+
+    const bin = bins.get(result.category) || {
+      category: result.category,
+      score: 0,
+      labels: [],
+    };
+    bin.score += probability;
+    bin.labels.push({ className, probability, result });
+    bins.set(result.category, bin);
+  }
+
+  return [...bins.values()]
+    .map((bin) => ({ ...bin, confidence: calibrateScore(bin.score) }))
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Picks the bin for one object and says whether we are sure about it.
+ *
+ * @param {Array} predictions - MobileNet predictions, best first
+ * @param {object} [ruleSet] - Rule set to map labels with
+ * @returns {object|null} - null when no bin reaches MIN_SHOWN_CONFIDENCE, else
+ *   { className, probability, result, bins, uncertain }
+ *   className/result: the most probable label of the best bin
+ *   probability: confidence in the best bin
+ *   bins: every bin with its confidence (scoreBins)
+ */
+function assessPredictions(predictions, ruleSet = getActiveRuleSet()) {
+  const bins = scoreBins(predictions, ruleSet);
+  const [best, runnerUp] = bins;
+  if (!best || best.confidence < MIN_SHOWN_CONFIDENCE) return null;
+
+  const margin = best.confidence - (runnerUp ? runnerUp.confidence : 0);
+  const [label] = best.labels;
+
+  return {
+    className: label.className,
+    probability: best.confidence,
+    result: label.result,
+    bins,
+    uncertain:
+      best.confidence < MIN_SURE_CONFIDENCE || margin < MIN_SURE_MARGIN,
+  };
+}
@@ -0,0 +1,492 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - TAUGHT ITEMS
+ * ============================================================================
+ *
+ * Lets users teach the app local items that ImageNet has no label for
+ * (the cafeteria's yogurt cup, a branded coffee lid, ...).
+ *
+ * How it works:
+ * 1. The user holds the item in the target zone and captures a handful of
+ *    photos, gives it a name and picks its bin
+ * 2. Each photo is turned into a MobileNet embedding (the 1280 numbers
+ *    before the ImageNet classifier, see embedCrop) and stored with the item
+ * 3. While scanning, every object crop is embedded too and compared with
+ *    the stored examples (k-nearest-neighbours, cosine similarity). A close
+ *    enough match wins over the ImageNet labels.
+ *
+ * Each item record (IndexedDB, keyed by name):
+ *   { name, bin, examples: [Float32Array], updated }
+ *
+ * Items can be exported to a JSON file and imported on another station.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const CUSTOM_DB_NAME = "recyclecam-custom-items";
+const CUSTOM_DB_VERSION = 1;
+const CUSTOM_ITEM_STORE = "items";
+
+// Embeddings only compare within the same model - stored with every export
+const EMBEDDING_MODEL = `mobilenet_v${MODEL_CONFIG.mobilenet.options.version}_${MODEL_CONFIG.mobilenet.options.alpha}`;
+
+const KNN_K = 5; // Neighbours that vote
+const KNN_MIN_SIMILARITY = 0.8; // Closer than this to count as a match
+const KNN_MIN_VOTE_SHARE = 0.6; // Share of the votes the winner needs
+
+const MIN_TEACH_EXAMPLES = 3; // Photos needed before an item can be saved
+const MAX_ITEM_EXAMPLES = 50; // Oldest photos are dropped beyond this
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+let customDbPromise = null;
+
+// Every taught item, kept in memory for the scanning loop
+let customItems = [];
+
+/**
+ * Opens (and on first use creates) the taught items database.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openCustomDb() {
+  if (!customDbPromise) {
+    const request = indexedDB.open(CUSTOM_DB_NAME, CUSTOM_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(CUSTOM_ITEM_STORE, { keyPath: "name" });
+    };
+    customDbPromise = requestToPromise(request).catch((err) => {
+      customDbPromise = null; // Try again next time
+      throw err;
+    });
+  }
+  return customDbPromise;
+}
+
+/**
+ * Runs one request against the item store (see withScanStore).
+ *
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - (store) => IDBRequest
+ */
+async function withCustomStore(mode, makeRequest) {
+  const db = await openCustomDb();
+  const tx = db.transaction(CUSTOM_ITEM_STORE, mode);
+  const [result] = await Promise.all([
+    requestToPromise(makeRequest(tx.objectStore(CUSTOM_ITEM_STORE))),
+    transactionToPromise(tx),
+  ]);
+  return result;
+}
+
+/**
+ * Reloads every taught item into memory.
+ */
+async function loadCustomItems() {
+  customItems = await withCustomStore("readonly", (store) => store.getAll());
+  return customItems;
+}
+
+/**
+ * Saves examples for an item. An item that already exists keeps its old
+ * examples and moves to the new bin.
+ *
+ * @param {string} name - Item name shown in the HUD
+ * @param {string} bin - Built-in bin id (defaultBins), moved to the
+ *   region's bins when scanned
+ * @param {Array<Float32Array>} examples - New embeddings
+ */
+async function saveCustomItem(name, bin, examples) {
+  const existing = customItems.find((item) => item.name === name);
+  const record = {
+    name,
+    bin,
+    examples: (existing ? existing.examples : [])
+      .concat(examples)
+      .slice(-MAX_ITEM_EXAMPLES),
+    updated: Date.now(),
+  };
+  await withCustomStore("readwrite", (store) => store.put(record));
+  await loadCustomItems();
+}
+
+/**
+ * Deletes one taught item.
+ */
+async function removeCustomItem(name) {
+  await withCustomStore("readwrite", (store) => store.delete(name));
+  await loadCustomItems();
+}
+
+/**
+ * Deletes every taught item.
+ */
+async function clearCustomItems() {
+  await withCustomStore("readwrite", (store) => store.clear());
+  customItems = [];
+}
+
+// ============================================================================
+// K-NEAREST-NEIGHBOUR CLASSIFIER
+// ============================================================================
+
+/**
+ * Scales a vector to length 1, so a dot product is the cosine similarity.
+ *
+ * @param {ArrayLike<number>} values - Raw embedding
+ * @returns {Float32Array}
+ */
+function normalizeVector(values) {
+  let sum = 0;
+  for (let i = 0; i < values.length; i++) sum += values[i] * values[i];
+  const length = Math.sqrt(sum) || 1;
+  return Float32Array.from(values, (v) => v / length);
+}
+
+/**
+ * Dot product of two equally long vectors.
+ */
+function dotProduct(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Finds the taught item closest to an embedding. The K most similar
+ * examples vote; the winner needs most of the votes and must be close.
+ *
+ * @param {Float32Array} embedding - Normalized embedding of the object
+ * @param {Array<object>} [items] - Taught items
+ * @returns {object|null} - { item, similarity, share } or null
+ */
+function knnClassify(embedding, items = customItems) {
+  const neighbours = [];
+  for (const item of items) {
+    for (const example of item.examples) {
+      // Skip examples made by another model version
+      if (example.length !== embedding.length) continue;
+      neighbours.push({ item, similarity: dotProduct(embedding, example) });
+    }
+  }
+  if (neighbours.length === 0) return null;
+
+  const nearest = neighbours
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, KNN_K);
+
+  const votes = new Map();
+  for (const { item, similarity } of nearest) {
+    const vote = votes.get(item) || { item, count: 0, similarity: 0 };
+    vote.count++;
+    vote.similarity += similarity;
+    votes.set(item, vote);
+  }
+
+  const [winner] = [...votes.values()].sort((a, b) => b.count - a.count);
+  const share = winner.count / nearest.length;
+  const similarity = winner.similarity / winner.count;
+
+  if (share < KNN_MIN_VOTE_SHARE || similarity < KNN_MIN_SIMILARITY) {
+    return null;
+  }
+  return { item: winner.item, similarity, share };
+}
+
+// ============================================================================
+// SCANNING
+// ============================================================================
+
+/**
+ * Builds a mapToRecycleBucket-style result for a taught item. Its bin is a
+ * built-in one, moved to the region's bins like a product's (resolveBinId).
+ *
+ * @param {object} item - Taught item
+ * @param {object} [profile] - Resolved region profile
+ * @returns {object} - Result with custom: true
+ */
+function customItemResult(item, profile = activeProfile) {
+  const category = resolveBinId(item.bin, profile);
+  return {
+    bucket: profile.bins[category].label,
+    displayName: item.name,
+    category,
+    rule: null,
+    matchedTerm: null,
+    unknown: false,
+    override: null,
+    ignored: false,
+    custom: true,
+  };
+}
+
+/**
+ * Checks an object's embedding against the taught items. Used by
+ * analyzeFrame ahead of the ImageNet labels.
+ *
+ * @param {Float32Array} embedding - Raw MobileNet embedding (pipeline.js)
+ * @returns {object|null} - { className, probability, result, bins,
+ *   uncertain } or null
+ */
+function classifyCustomItem(embedding) {
+  if (customItems.length === 0) return null;
+
+  const match = knnClassify(normalizeVector(embedding));
+  if (!match) return null;
+
+  const result = customItemResult(match.item);
+  const probability = match.similarity * match.share;
+  return {
+    className: match.item.name,
+    probability,
+    result,
+    // Same shape as assessPredictions; a KNN match is never "not sure"
+    bins: [{ category: result.category, confidence: probability, labels: [] }],
+    uncertain: false,
+  };
+}
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+
+/**
+ * Turns the taught items into plain JSON data.
+ *
+ * @param {Array<object>} items - Taught items
+ * @returns {object} - { exported, model, items: [{ name, bin, examples }] }
+ */
+function customItemsToJson(items) {
+  return {
+    exported: new Date().toISOString(),
+    model: EMBEDDING_MODEL,
+    items: items.map(({ name, bin, examples }) => ({
+      name,
+      bin,
+      // 5 decimals is plenty for a cosine similarity and halves the file
+      examples: examples.map((e) => Array.from(e, (v) => +v.toFixed(5))),
+    })),
+  };
+}
+
+/**
+ * Adds the items of an exported file to the local ones. Items without a
+ * name, examples or a built-in bin are skipped.
+ *
+ * @param {object} data - Parsed export file
+ * @returns {Promise<number>} - Number of items imported
+ */
+async function importCustomItems(data) {
+  if (!data || !Array.isArray(data.items)) {
+    throw new Error(t("teach.notItemsFile"));
+  }
+  if (data.model !== EMBEDDING_MODEL) {
+    throw new Error(t("teach.otherModel", { model: data.model }));
+  }
+
+  let imported = 0;
+  for (const { name, bin, examples } of data.items) {
+    if (typeof name !== "string" || !Array.isArray(examples)) continue;
+    if (!Object.prototype.hasOwnProperty.call(defaultBins, bin)) continue;
+    await saveCustomItem(
+      name,
+      bin,
+      examples.map((e) => normalizeVector(e))
+    );
+    imported++;
+  }
+  return imported;
+}
+
+// ============================================================================
+// TEACH PANEL
+// ============================================================================
+
+const teachPanel = document.getElementById("teachPanel");
+const teachBtn = document.getElementById("teachBtn");
+const teachCloseBtn = document.getElementById("teachCloseBtn");
+const teachName = document.getElementById("teachName");
+const teachBin = document.getElementById("teachBin");
+const teachCaptureBtn = document.getElementById("teachCaptureBtn");
+const teachSaveBtn = document.getElementById("teachSaveBtn");
+const teachStatus = document.getElementById("teachStatus");
+const customItemsList = document.getElementById("customItemsList");
+const exportItemsBtn = document.getElementById("exportItemsBtn");
+const importItemsBtn = document.getElementById("importItemsBtn");
+const importItemsInput = document.getElementById("importItemsInput");
+const clearItemsBtn = document.getElementById("clearItemsBtn");
+
+// Embeddings captured for the item being taught
+let teachExamples = [];
+
+/**
+ * Shows how many photos are captured and enables "Save" when enough.
+ */
+function updateTeachStatus() {
+  const count = teachExamples.length;
+  teachCaptureBtn.textContent = t("teach.capture", { count });
+  teachSaveBtn.disabled = count < MIN_TEACH_EXAMPLES || !teachName.value.trim();
+  teachStatus.textContent =
+    count < MIN_TEACH_EXAMPLES
+      ? t("teach.needMore", { count: MIN_TEACH_EXAMPLES })
+      : t("teach.ready");
+}
+
+/**
+ * Fills the bin picker with the built-in bins (items are stored with those
+ * and moved to the region's when scanned, see pickableBinIds).
+ */
+function renderTeachBins() {
+  const selected = teachBin.value;
+  teachBin.innerHTML = "";
+  for (const id of pickableBinIds()) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = builtInBinLabel(id);
+    teachBin.appendChild(option);
+  }
+  if (defaultBins[selected]) teachBin.value = selected;
+}
+
+/**
+ * Redraws the list of taught items.
+ */
+function renderCustomItems() {
+  customItemsList.innerHTML = "";
+
+  if (customItems.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "stat-empty";
+    empty.textContent = t("teach.empty");
+    customItemsList.appendChild(empty);
+    return;
+  }
+
+  for (const item of customItems) {
+    const target = defaultBins[item.bin]
+      ? builtInBinLabel(item.bin)
+      : item.bin;
+
+    const row = document.createElement("li");
+    row.className = "stat-row";
+
+    const label = document.createElement("span");
+    label.textContent = t("teach.itemRow", {
+      name: item.name,
+      bin: target,
+      count: item.examples.length,
+    });
+
+    const remove = document.createElement("button");
+    remove.className = "panel-close";
+    remove.textContent = "✕";
+    remove.setAttribute("aria-label", t("teach.forget", { name: item.name }));
+    remove.onclick = async () => {
+      try {
+        await removeCustomItem(item.name);
+      } catch (err) {
+        console.error("Could not forget item:", err);
+        alert(t("teach.forgetFailed"));
+      }
+      renderCustomItems();
+    };
+
+    row.append(label, remove);
+    customItemsList.appendChild(row);
+  }
+}
+
+/**
+ * Captures one example of the item in view (live camera or photo).
+ */
+async function captureTeachExample() {
+  const source = running ? video : !stillImage.hidden ? stillImage : null;
+  if (!source || !inferenceInfo) {
+    alert(t("teach.startFirst"));
+    return;
+  }
+
+  teachCaptureBtn.disabled = true;
+  try {
+    teachExamples.push(normalizeVector(await embedSource(source)));
+  } catch (err) {
+    console.error("Could not capture example:", err);
+  }
+  teachCaptureBtn.disabled = false;
+  updateTeachStatus();
+}
+
+teachBtn.onclick = () => {
+  renderTeachBins();
+  renderCustomItems();
+  updateTeachStatus();
+  openPanel(teachPanel);
+};
+teachCloseBtn.onclick = () => closePanel(teachPanel);
+
+teachName.oninput = () => updateTeachStatus();
+teachCaptureBtn.onclick = () => captureTeachExample();
+
+teachSaveBtn.onclick = async () => {
+  const name = teachName.value.trim();
+  try {
+    await saveCustomItem(name, teachBin.value, teachExamples);
+  } catch (err) {
+    console.error("Could not save item:", err);
+    alert(t("teach.saveFailed"));
+    return;
+  }
+  console.info(`Taught "${name}" with ${teachExamples.length} photos`);
+  teachExamples = [];
+  teachName.value = "";
+  updateTeachStatus();
+  renderCustomItems();
+};
+
+exportItemsBtn.onclick = () => {
+  downloadText(
+    "recycle-cam-items.json",
+    JSON.stringify(customItemsToJson(customItems)),
+    "application/json"
+  );
+};
+
+importItemsBtn.onclick = () => importItemsInput.click();
+importItemsInput.onchange = async () => {
+  const [file] = importItemsInput.files;
+  importItemsInput.value = "";
+  if (!file) return;
+
+  try {
+    const count = await importCustomItems(JSON.parse(await file.text()));
+    teachStatus.textContent = t("teach.imported", { count });
+  } catch (err) {
+    console.error("Could not import items:", err);
+    alert(t("teach.importFailed", { message: err.message }));
+  }
+  renderCustomItems();
+};
+
+clearItemsBtn.onclick = async () => {
+  if (!confirm(t("teach.confirmForgetAll"))) return;
+  try {
+    await clearCustomItems();
+  } catch (err) {
+    console.error("Could not forget items:", err);
+    alert(t("teach.forgetFailed"));
+  }
+  renderCustomItems();
+};
+
+// Load the taught items from the start
+loadCustomItems().catch((err) =>
+  console.warn("Taught items are not available in this browser:", err)
+);
@@ -0,0 +1,205 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - ITEM GUIDES
+ * ============================================================================
+ *
+ * Knowing the bin isn't always enough: bottles need emptying, greasy pizza
+ * boxes can't go with paper, glasses with lenses need special handling.
+ *
+ * A guide tells, for one kind of item:
+ * - why: the reason behind its bin
+ * - prepare: what to do before binning it
+ * - mistakes: what people commonly get wrong
+ *
+ * Mapping entries link to a guide by id ("guide" in mappings.js). When the
+ * HUD shows an item with a guide, an expandable "How to bin it" panel under
+ * the HUD card shows it (updateCategoryUI in app.js).
+ *
+ * The texts here are English; other languages translate them in the
+ * "guides" section of their locale file, by guide id and with the same
+ * fields.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// ITEM GUIDES
+// ============================================================================
+
+const itemGuides = {
+  plasticBottle: {
+    why:
+      "Bottles and jugs are PET or HDPE, the plastics that recycle best - " +
+      "as long as they arrive empty and clean.",
+    prepare: [
+      "Empty it completely",
+      "Give it a quick rinse",
+      "Squash it and screw the cap back on, so the cap is recycled too",
+    ],
+    mistakes: [
+      "Leftover drinks soak the paper and card collected with it",
+      "Bottles that held motor oil or chemicals don't belong here",
+    ],
+  },
+
+  glassBottle: {
+    why:
+      "Bottle glass can be melted down again and again without losing quality.",
+    prepare: [
+      "Empty and rinse it",
+      "Take off corks, caps and lids - metal caps go with metal",
+      "Labels can stay on",
+    ],
+    mistakes: [
+      "Mirrors, window glass and ovenware melt differently and spoil the batch",
+      "Don't smash bottles: broken glass is hard to sort and cuts sorters",
+    ],
+  },
+
+  pizza: {
+    why: "Food scraps turn into compost instead of methane in a landfill.",
+    prepare: [
+      "Scrape leftovers into the compost",
+      "Tear off clean parts of the box for paper recycling",
+      "Greasy or cheesy cardboard goes in the compost with the food",
+    ],
+    mistakes: [
+      "Greasy pizza boxes don't go in paper: the oil can't be washed out " +
+        "of the fibres",
+      "Take out the little plastic table and any wrapping first",
+    ],
+  },
+
+  carton: {
+    why:
+      "Clean, dry cardboard is among the most valuable recycling - its " +
+      "fibres can be reused several times.",
+    prepare: [
+      "Flatten it",
+      "Remove plastic tape, windows and padding",
+      "Keep it dry",
+    ],
+    mistakes: [
+      "Greasy or food-soiled cardboard (pizza, takeaway) goes in the compost",
+      "Wet cardboard falls apart and jams the sorting line",
+    ],
+  },
+
+  glasses: {
+    why:
+      "Lenses are coated plastic or special glass and frames mix metal and " +
+      "plastic - no recycling line can take them apart.",
+    prepare: [
+      "Glasses that can still be worn: give them to an optician or a " +
+        "charity collection",
+      "Broken ones: wrap them so the lenses can't cut anyone",
+    ],
+    mistakes: [
+      "Lenses are not bottle glass - keep them out of the glass bin",
+      "Sunglasses and reading glasses count too",
+    ],
+  },
+
+  ceramics: {
+    why:
+      "Ceramics and porcelain don't melt like bottle glass; one mug can " +
+      "spoil a whole load of recycled glass.",
+    prepare: [
+      "Usable ones: give them to a charity shop",
+      "Broken ones: wrap the pieces before binning them",
+    ],
+    mistakes: [
+      "Ceramics don't go in the glass bin, even with a glassy glaze",
+    ],
+  },
+
+  paperTowel: {
+    why:
+      "Tissue fibres are too short to be recycled again and used tissue is " +
+      "soiled - but it composts well.",
+    prepare: ["Put used paper towels and tissues in the compost"],
+    mistakes: [
+      "Tissue doesn't go in paper recycling, even when clean",
+      "Wet wipes are plastic, not paper - they go in the landfill",
+    ],
+  },
+
+  plasticBag: {
+    why:
+      "Bags and films are plastic, but most sorting machines can't handle them.",
+    prepare: [
+      "Make sure it is empty and dry",
+      "Bundle bags together inside one bag",
+    ],
+    mistakes: [
+      "Loose bags wrap around sorting machines and stop the line",
+      "Many areas take bags back at supermarkets instead - check yours",
+    ],
+  },
+};
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * The guide id of a match result, if its rule links one.
+ *
+ * @param {object} result - Result from mapToRecycleBucket (or a product /
+ *   taught item result)
+ * @returns {string|null} - Key of itemGuides
+ */
+function findGuide(result) {
+  const guide = result && !result.ignored && result.rule && result.rule.guide;
+  return guide && itemGuides[guide] ? guide : null;
+}
+
+/**
+ * A guide in the active language, falling back to English.
+ *
+ * @param {string} id - Key of itemGuides
+ * @returns {object} - { why, prepare, mistakes }
+ */
+function guideText(id) {
+  return translateName("guides", id, itemGuides[id]);
+}
+
+// ============================================================================
+// HUD GUIDE PANEL
+// ============================================================================
+
+const hudGuide = document.getElementById("hudGuide");
+const guideWhy = document.getElementById("guideWhy");
+const guidePrepare = document.getElementById("guidePrepare");
+const guideMistakes = document.getElementById("guideMistakes");
+
+/**
+ * Fills a list with one item per text.
+ */
+function fillGuideList(list, texts) {
+  list.innerHTML = "";
+  for (const text of texts || []) {
+    const item = document.createElement("li");
+    item.textContent = text;
+    list.appendChild(item);
+  }
+  list.parentElement.hidden = list.childElementCount === 0;
+}
+
+/**
+ * Shows the guide of the item in the HUD, or hides the panel. Whether it
+ * is expanded is kept from one item to the next.
+ *
+ * @param {string|null} id - Key of itemGuides
+ */
+function renderItemGuide(id) {
+  hudGuide.hidden = !id;
+  if (!id) return;
+
+  const { why, prepare, mistakes } = guideText(id);
+  guideWhy.textContent = why;
+  fillGuideList(guidePrepare, prepare);
+  fillGuideList(guideMistakes, mistakes);
+}
@@ -0,0 +1,171 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - HAZARDOUS ITEMS
+ * ============================================================================
+ *
+ * Batteries, electronics, light bulbs, aerosol cans, mercury and medical
+ * sharps are dangerous in every regular bin: they start fires in collection
+ * trucks, leak toxins or injure the people sorting the waste.
+ *
+ * When one of them is found, a safety warning replaces the normal result:
+ * why it must not go in a bin and where to take it instead. The warning
+ * stays until the user acknowledges it; the loop keeps the HUD on the
+ * hazardous item meanwhile and never sends it to a smart bin (see app.js).
+ *
+ * The hazard comes from the matching rule ("hazard" in mappings.js), from a
+ * product part (products.json) or, for corrections and taught items, from
+ * the bin ("hazardous").
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const HAZARD_BIN = "hazardous"; // Bin id of the built-in hazardous bin
+
+// Confidence a hazardous bin needs to warn when it isn't the object's best
+const HAZARD_MIN_CONFIDENCE = 0.25;
+
+// Hazard → icon. The texts are "hazards.<hazard>" (why) and
+// "hazards.<hazard>Where" (where to take it) in the locale files.
+const HAZARD_ICONS = {
+  sharps: "💉",
+  mercury: "🌡️",
+  batteries: "🔋",
+  electronics: "🔌",
+  bulbs: "💡",
+  aerosols: "🧯",
+  general: "☣️", // Anything else in the hazardous bin
+};
+
+// ============================================================================
+// DETECTION
+// ============================================================================
+
+/**
+ * The hazard of a match result, if it has one.
+ *
+ * @param {object} result - Result from mapToRecycleBucket (or a product /
+ *   taught item result)
+ * @returns {string|null} - Key of HAZARD_ICONS
+ */
+function hazardOfResult(result) {
+  if (!result || result.ignored) return null;
+  if (result.rule && result.rule.hazard) return result.rule.hazard;
+  if (result.product) {
+    const part = result.components.find(
+      (c) => c.hazard || c.bin === HAZARD_BIN
+    );
+    if (part) return part.hazard || "general";
+  }
+  return result.category === HAZARD_BIN ? "general" : null;
+}
+
+/**
+ * Checks an object for a hazard. Its other candidate labels count too when
+ * they have a fair share - better one warning too many than a syringe in
+ * the paper bin.
+ *
+ * @param {object} object - Object from analyzeFrame
+ * @returns {object|null} - { hazard, name, sure }
+ *   name: English item name; sure: the object itself is hazardous
+ */
+function findHazard({ result, bins, uncertain }) {
+  const candidates = [{ result, sure: !uncertain }];
+  for (const bin of bins || []) {
+    if (bin.confidence < HAZARD_MIN_CONFIDENCE) continue;
+    for (const label of bin.labels) {
+      candidates.push({ result: label.result, sure: false });
+    }
+  }
+
+  for (const candidate of candidates) {
+    const hazard = hazardOfResult(candidate.result);
+    if (hazard) {
+      return {
+        hazard: HAZARD_ICONS[hazard] ? hazard : "general",
+        name: candidate.result.displayName,
+        sure: candidate.sure,
+      };
+    }
+  }
+  return null;
+}
+
+// ============================================================================
+// SAFETY WARNING
+// ============================================================================
+
+const hazardWarning = document.getElementById("hazardWarning");
+const hazardIcon = document.getElementById("hazardIcon");
+const hazardTitle = document.getElementById("hazardTitle");
+const hazardWhy = document.getElementById("hazardWhy");
+const hazardWhere = document.getElementById("hazardWhere");
+const hazardDismissBtn = document.getElementById("hazardDismissBtn");
+
+let shownHazard = null; // Hazard in the open warning (findHazard)
+
+/**
+ * Fills the warning for the shown hazard (also after a language change).
+ */
+function renderHazardWarning() {
+  if (!shownHazard) return;
+  const { hazard, name, sure } = shownHazard;
+  hazardIcon.textContent = HAZARD_ICONS[hazard];
+  hazardTitle.textContent = t(sure ? "hazards.title" : "hazards.maybe", {
+    name: itemName(name),
+  });
+  hazardWhy.textContent = t(`hazards.${hazard}`);
+  hazardWhere.textContent = t(`hazards.${hazard}Where`);
+}
+
+/**
+ * Opens the safety warning, read out and vibrated like a result.
+ *
+ * @param {object} hazard - From findHazard
+ */
+function showHazardWarning(hazard) {
+  shownHazard = hazard;
+  renderHazardWarning();
+  hazardWarning.hidden = false;
+  hazardDismissBtn.focus();
+
+  if (feedbackSettings.speech) {
+    speak(`${hazardTitle.textContent}. ${hazardWhere.textContent}`);
+  }
+  if (feedbackSettings.vibration && canVibrate()) {
+    navigator.vibrate(vibrationPattern(HAZARD_BIN));
+  }
+}
+
+/**
+ * Whether the safety warning is up.
+ */
+function hazardWarningOpen() {
+  return shownHazard !== null;
+}
+
+/**
+ * Closes the safety warning. The item still in view starts over, so it
+ * warns again if the user hasn't put it away.
+ */
+function closeHazardWarning() {
+  if (!shownHazard) return;
+  shownHazard = null;
+  hazardWarning.hidden = true;
+  resetSmoother(hudSmoother);
+}
+
+/**
+ * HUD state of the open warning, for the replay log (replay.js).
+ */
+function hazardHudState() {
+  const { hazard, name, sure } = shownHazard;
+  return { state: "hazard", hazard, item: name, sure };
+}
+
+hazardDismissBtn.onclick = () => closeHazardWarning();
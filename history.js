@@ -0,0 +1,364 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - SCAN HISTORY
+ * ============================================================================
+ *
+ * Stores every confirmed classification in IndexedDB so teachers and
+ * facility managers can report on what was sorted.
+ *
+ * Each scan record:
+ *   { id, timestamp, label, probability, bin, bucket, displayName, region }
+ *   - label:       raw MobileNet className
+ *   - probability: confidence in the bin (0-1, see confidence.js)
+ *   - bin:         bin id
+ *   - bucket:      English bin label
+ *   - displayName: English item name
+ *   - region:      region profile id at the time of the scan
+ *
+ * Statistics key on the ids; names are translated when shown (i18n.js).
+ *
+ * The history panel shows totals per bin, per day and the most frequent
+ * items, and exports everything as CSV or JSON.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const HISTORY_DB_NAME = "recyclecam-history";
+const HISTORY_DB_VERSION = 1;
+const SCAN_STORE = "scans";
+
+const TOP_ITEMS_COUNT = 5; // Items listed under "Most frequent"
+const HISTORY_DAYS_SHOWN = 7; // Days listed under "Per day"
+
+const CSV_COLUMNS = [
+  "timestamp",
+  "label",
+  "probability",
+  "bin",
+  "bucket",
+  "displayName",
+  "region",
+];
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+let historyDbPromise = null;
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction has committed. A request can succeed and its
+ * transaction still fail to commit (e.g. storage full), so writes wait for
+ * this.
+ */
+function transactionToPromise(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * Opens (and on first use creates) the history database.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    const request = indexedDB.open(HISTORY_DB_NAME, HISTORY_DB_VERSION);
+    request.onupgradeneeded = () => {
+      const store = request.result.createObjectStore(SCAN_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+      store.createIndex("timestamp", "timestamp");
+    };
+    historyDbPromise = requestToPromise(request).catch((err) => {
+      historyDbPromise = null; // Try again next time
+      throw err;
+    });
+  }
+  return historyDbPromise;
+}
+
+/**
+ * Runs one request against the scan store and resolves with its result
+ * once the transaction has committed.
+ *
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - (store) => IDBRequest
+ */
+async function withScanStore(mode, makeRequest) {
+  const db = await openHistoryDb();
+  const tx = db.transaction(SCAN_STORE, mode);
+  const [result] = await Promise.all([
+    requestToPromise(makeRequest(tx.objectStore(SCAN_STORE))),
+    transactionToPromise(tx),
+  ]);
+  return result;
+}
+
+/**
+ * Saves one confirmed scan.
+ *
+ * @param {object} scan - { label, probability, bin, bucket, displayName,
+ *   region }
+ * @returns {Promise<number>} - Id of the new record
+ */
+function addScan(scan) {
+  const record = { timestamp: Date.now(), ...scan };
+  return withScanStore("readwrite", (store) => store.add(record));
+}
+
+/**
+ * Returns every scan, oldest first.
+ */
+function getAllScans() {
+  return withScanStore("readonly", (store) =>
+    store.index("timestamp").getAll()
+  );
+}
+
+/**
+ * Deletes every scan.
+ */
+function clearScans() {
+  return withScanStore("readwrite", (store) => store.clear());
+}
+
+// ============================================================================
+// STATISTICS
+// ============================================================================
+
+/**
+ * Local calendar day of a timestamp, e.g. "2024-05-17".
+ */
+function dayKey(timestamp) {
+  const d = new Date(timestamp);
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * Counts scans per bin, per day and per item.
+ *
+ * @param {Array<object>} scans - Scan records
+ * @returns {object} - { total, perBin, perDay, topItems }
+ *   perBin/perDay: [[bin id / day, count]] sorted by count / newest day first
+ *   topItems: [[displayName, count]] most frequent first
+ */
+function summarizeScans(scans) {
+  const count = (keyOf) => {
+    const counts = {};
+    for (const scan of scans) {
+      const key = keyOf(scan);
+      counts[key] = (counts[key] || 0) + 1;
+    }
+    return Object.entries(counts);
+  };
+
+  return {
+    total: scans.length,
+    perBin: count((s) => s.bin || s.bucket).sort((a, b) => b[1] - a[1]),
+    perDay: count((s) => dayKey(s.timestamp)).sort((a, b) =>
+      b[0].localeCompare(a[0])
+    ),
+    topItems: count((s) => s.displayName)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, TOP_ITEMS_COUNT),
+  };
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Quotes a CSV field when it contains separators, quotes or newlines.
+ */
+function csvEscape(value) {
+  const text = value == null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Converts scans to CSV with an ISO timestamp column.
+ *
+ * @param {Array<object>} scans - Scan records
+ * @returns {string}
+ */
+function scansToCsv(scans) {
+  const rows = scans.map((scan) =>
+    CSV_COLUMNS.map((col) =>
+      csvEscape(col === "timestamp" ? new Date(scan[col]).toISOString() : scan[col])
+    ).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+/**
+ * Offers a Blob as a file download.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {Blob} blob - File contents
+ */
+function downloadBlob(filename, blob) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Offers text as a file download.
+ *
+ * @param {string} filename - Suggested file name
+ * @param {string} text - File contents
+ * @param {string} type - MIME type
+ */
+function downloadText(filename, text, type) {
+  downloadBlob(filename, new Blob([text], { type }));
+}
+
+// ============================================================================
+// HISTORY PANEL
+// ============================================================================
+
+const historyPanel = document.getElementById("historyPanel");
+const historyBtn = document.getElementById("historyBtn");
+const historyCloseBtn = document.getElementById("historyCloseBtn");
+const historyTotal = document.getElementById("historyTotal");
+const historyBins = document.getElementById("historyBins");
+const historyDays = document.getElementById("historyDays");
+const historyItems = document.getElementById("historyItems");
+const exportCsvBtn = document.getElementById("exportCsvBtn");
+const exportJsonBtn = document.getElementById("exportJsonBtn");
+const clearHistoryBtn = document.getElementById("clearHistoryBtn");
+
+/**
+ * Fills a stats list with "name ... count" rows and a proportional bar.
+ *
+ * @param {HTMLElement} list - <ul> to fill
+ * @param {Array} entries - [[key, count]]
+ * @param {number} total - Count that fills the whole bar
+ * @param {Function} [nameOf] - Display name of a key
+ */
+function renderStatList(list, entries, total, nameOf = (key) => key) {
+  list.innerHTML = "";
+
+  if (entries.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "stat-empty";
+    empty.textContent = t("history.empty");
+    list.appendChild(empty);
+    return;
+  }
+
+  for (const [key, count] of entries) {
+    const row = document.createElement("li");
+    row.className = "stat-row";
+    row.style.setProperty("--share", `${Math.round((count / total) * 100)}%`);
+
+    const label = document.createElement("span");
+    label.textContent = nameOf(key);
+    const value = document.createElement("span");
+    value.className = "stat-count";
+    value.textContent = count;
+
+    row.append(label, value);
+    list.appendChild(row);
+  }
+}
+
+/**
+ * Reloads the scans and redraws the panel.
+ */
+async function renderHistory() {
+  const scans = await getAllScans();
+  const stats = summarizeScans(scans);
+
+  // Saved labels name bins the active region may not have
+  const savedLabels = {};
+  for (const s of scans) savedLabels[s.bin || s.bucket] = s.bucket;
+
+  historyTotal.textContent = t("history.total", { count: stats.total });
+  renderStatList(historyBins, stats.perBin, stats.total, (id) =>
+    binLabel(id, savedLabels[id])
+  );
+  renderStatList(historyDays, stats.perDay.slice(0, HISTORY_DAYS_SHOWN), stats.total);
+  renderStatList(historyItems, stats.topItems, stats.total, itemName);
+}
+
+/**
+ * Opens the history panel.
+ */
+async function openHistory() {
+  openPanel(historyPanel);
+  try {
+    await renderHistory();
+  } catch (err) {
+    console.error("Could not read history:", err);
+    historyTotal.textContent = t("history.unavailable");
+  }
+}
+
+historyBtn.onclick = () => openHistory();
+historyCloseBtn.onclick = () => closePanel(historyPanel);
+
+exportCsvBtn.onclick = async () => {
+  try {
+    const csv = scansToCsv(await getAllScans());
+    downloadText(
+      `recycle-cam-history-${dayKey(Date.now())}.csv`,
+      csv,
+      "text/csv"
+    );
+  } catch (err) {
+    console.error("Could not export history:", err);
+    alert(t("history.exportFailed", { message: err.message }));
+  }
+};
+
+exportJsonBtn.onclick = async () => {
+  try {
+    const json = JSON.stringify(await getAllScans(), null, 2);
+    downloadText(
+      `recycle-cam-history-${dayKey(Date.now())}.json`,
+      json,
+      "application/json"
+    );
+  } catch (err) {
+    console.error("Could not export history:", err);
+    alert(t("history.exportFailed", { message: err.message }));
+  }
+};
+
+clearHistoryBtn.onclick = async () => {
+  if (!confirm(t("history.confirmClear"))) return;
+  try {
+    await clearScans();
+    await renderHistory();
+  } catch (err) {
+    console.error("Could not clear history:", err);
+    alert(t("history.clearFailed", { message: err.message }));
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - TRANSLATIONS
+ * ============================================================================
+ *
+ * Every text the user sees comes from a locale file in locales/:
+ *
+ *   locales/index.json - available languages { code, name, dir }
+ *   locales/en.json    - English, also the fallback for missing strings
+ *   locales/<code>.json
+ *
+ * Strings are looked up by dotted key ("hud.scanning") and may contain
+ * {placeholders}. Keys with a count have plural forms ("history.total_one",
+ * "history.total_other") chosen with Intl.PluralRules.
+ *
+ * Names that come from data are translated by id, falling back to the name
+ * the data brings:
+ *   bins.<bin id>       - bin labels (mappings.js, regions/*.json)
+ *   regions.<region id> - region names
+ *   items.<english name, lower case> - item names shown in the HUD
+ *   guides.<guide id>   - item guides ({ why, prepare, mistakes }, guides.js)
+ *   questions.<question id> - follow-up questions ({ text, <choice id> },
+ *                         followUpQuestions in mappings.js)
+ *
+ * Static page text is marked with data-i18n="key" (text) and
+ * data-i18n-<attribute>="key" (see TRANSLATED_ATTRIBUTES).
+ *
+ * The language is picked from the saved choice, then the browser's
+ * languages, then LOCALE_DEFAULT. Right-to-left languages set dir="rtl".
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const LOCALE_INDEX_URL = "locales/index.json";
+const LOCALE_STORAGE_KEY = "recyclecam.locale";
+const LOCALE_DEFAULT = "en";
+
+// Attributes that can be translated with data-i18n-<attribute>
+const TRANSLATED_ATTRIBUTES = [
+  "placeholder",
+  "aria-label",
+  "title",
+  "alt",
+  "data-title",
+];
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Languages that can be picked; replaced by locales/index.json
+let localeIndex = [{ code: LOCALE_DEFAULT, name: "English", dir: "ltr" }];
+
+let fallbackStrings = {}; // LOCALE_DEFAULT strings
+let localeStrings = {}; // Strings of the active language
+let activeLocale = localeIndex[0];
+let pluralRules = new Intl.PluralRules(LOCALE_DEFAULT);
+
+// ============================================================================
+// LOOKUP
+// ============================================================================
+
+/**
+ * Finds a string by dotted key.
+ *
+ * @param {object} strings - Locale file contents
+ * @param {string} key - e.g. "hud.scanning"
+ * @returns {string|undefined}
+ */
+function lookupString(strings, key) {
+  const value = key
+    .split(".")
+    .reduce((node, part) => (node ? node[part] : undefined), strings);
+  return typeof value === "string" ? value : undefined;
+}
+
+/**
+ * Fills {placeholders} in a string.
+ *
+ * @param {string} text - Text with {name} placeholders
+ * @param {object} params - Values by placeholder name
+ * @returns {string}
+ */
+function formatString(text, params) {
+  return text.replace(/\{(\w+)\}/g, (match, name) =>
+    name in params ? String(params[name]) : match
+  );
+}
+
+/**
+ * Translates a key into the active language.
+ * Lookup order: active language, then LOCALE_DEFAULT, then the key itself.
+ * With a numeric params.count the plural form "<key>_<form>" is tried first.
+ *
+ * @param {string} key - Dotted key, e.g. "tips.detected"
+ * @param {object} [params] - Placeholder values, e.g. { name: "Bottle" }
+ * @returns {string}
+ */
+function t(key, params = {}) {
+  const keys =
+    typeof params.count === "number"
+      ? [`${key}_${pluralRules.select(params.count)}`, `${key}_other`, key]
+      : [key];
+
+  for (const strings of [localeStrings, fallbackStrings]) {
+    for (const candidate of keys) {
+      const text = lookupString(strings, candidate);
+      if (text !== undefined) return formatString(text, params);
+    }
+  }
+  return key;
+}
+
+/**
+ * Translates a name that comes from data (bins, regions, items), falling
+ * back to the name the data brings.
+ *
+ * @param {string} section - "bins", "regions", "items", "guides" or
+ *   "questions"
+ * @param {string} id - Id (or English name, for items)
+ * @param {string|object} fallback - Name (or guide) from the data
+ * @returns {string|object}
+ */
+function translateName(section, id, fallback) {
+  const names = localeStrings[section] || {};
+  return Object.prototype.hasOwnProperty.call(names, id) ? names[id] : fallback;
+}
+
+/**
+ * Display label of a bin.
+ *
+ * @param {string} id - Bin id, e.g. "paper"
+ * @param {string} [fallback] - Label for bins the active region doesn't
+ *   have (e.g. from history recorded in another region)
+ * @returns {string}
+ */
+function binLabel(id, fallback = id) {
+  const bin = activeProfile.bins[id];
+  return translateName("bins", id, bin ? bin.label : fallback);
+}
+
+/**
+ * Display label of a built-in bin picked by hand (corrections, taught
+ * items), with the bin of the active region it goes in where that is
+ * another one: "📄 Paper → ♻️ Mixed Recycling".
+ *
+ * @param {string} id - Built-in bin id (defaultBins)
+ * @returns {string}
+ */
+function builtInBinLabel(id) {
+  const bin = defaultBins[id];
+  const label = `${bin.icon} ${translateName("bins", id, bin.label)}`;
+  const target = resolveBinId(id);
+  if (target === id) return label;
+  return `${label} → ${activeProfile.bins[target].icon} ${binLabel(target)}`;
+}
+
+/**
+ * Display name of an item ("Water bottle" → "Botella de agua").
+ *
+ * @param {string} name - English display name from mapToRecycleBucket
+ * @returns {string}
+ */
+function itemName(name) {
+  return translateName("items", name.toLowerCase(), name);
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Fetches a locale file.
+ *
+ * @param {string} code - Language code
+ * @returns {Promise<object>}
+ */
+async function fetchLocale(code) {
+  const res = await fetch(`locales/${code}.json`);
+  if (!res.ok) throw new Error(`Locale "${code}" not found (${res.status})`);
+  return res.json();
+}
+
+/**
+ * Loads the list of languages. Falls back to English only.
+ *
+ * @returns {Promise<Array<object>>} - [{ code, name, dir }]
+ */
+async function loadLocaleIndex() {
+  try {
+    const res = await fetch(LOCALE_INDEX_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { locales } = await res.json();
+    localeIndex = locales;
+  } catch (err) {
+    console.warn("Could not load language list:", err);
+  }
+  return localeIndex;
+}
+
+/**
+ * Picks the language: saved choice, then the browser's languages
+ * (exact "pt-BR" or just "pt"), then LOCALE_DEFAULT.
+ *
+ * @returns {string} - Language code
+ */
+function detectLocale() {
+  const available = localeIndex.map((l) => l.code);
+
+  try {
+    const saved = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (available.includes(saved)) return saved;
+  } catch (e) {
+    // Storage blocked - go by the browser
+  }
+
+  for (const lang of navigator.languages || [navigator.language]) {
+    if (!lang) continue;
+    if (available.includes(lang)) return lang;
+    const base = lang.split("-")[0];
+    if (available.includes(base)) return base;
+  }
+  return LOCALE_DEFAULT;
+}
+
+/**
+ * Remembers the user's language choice.
+ */
+function saveLocale(code) {
+  try {
+    localStorage.setItem(LOCALE_STORAGE_KEY, code);
+  } catch (e) {
+    // Not fatal - the choice only lasts for this session
+  }
+}
+
+/**
+ * Switches to a language and translates the page.
+ * On failure the previous language stays active.
+ *
+ * @param {string} code - Language code from locales/index.json
+ */
+async function activateLocale(code) {
+  const locale = localeIndex.find((l) => l.code === code) || localeIndex[0];
+
+  if (Object.keys(fallbackStrings).length === 0) {
+    fallbackStrings = await fetchLocale(LOCALE_DEFAULT);
+  }
+  localeStrings =
+    locale.code === LOCALE_DEFAULT
+      ? fallbackStrings
+      : await fetchLocale(locale.code);
+
+  activeLocale = locale;
+  pluralRules = new Intl.PluralRules(locale.code);
+
+  document.documentElement.lang = locale.code;
+  document.documentElement.dir = locale.dir || "ltr";
+  translatePage();
+}
+
+// ============================================================================
+// PAGE TEXT
+// ============================================================================
+
+/**
+ * Translates every element marked with data-i18n / data-i18n-<attribute>.
+ *
+ * @param {ParentNode} [root] - Part of the page to translate
+ */
+function translatePage(root = document) {
+  for (const el of root.querySelectorAll("[data-i18n]")) {
+    el.textContent = t(el.dataset.i18n);
+  }
+  for (const attr of TRANSLATED_ATTRIBUTES) {
+    for (const el of root.querySelectorAll(`[data-i18n-${attr}]`)) {
+      el.setAttribute(attr, t(el.getAttribute(`data-i18n-${attr}`)));
+    }
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - INFERENCE WORKER
+ * ============================================================================
+ *
+ * Runs the models (pipeline.js) off the main thread, so the camera view and
+ * buttons stay responsive on slow phones.
+ *
+ * Messages from the page (inference.js), each with a request id:
+ *   { id, type: "init", backend }            → { backend }
+ *   { id, type: "analyze", bitmap, options } → [{ bbox, predictions, embedding }]
+ *   { id, type: "embed", bitmap }            → Float32Array
+ * Replies are { id, result } or { id, error }.
+ * Frames arrive as transferred ImageBitmaps and are closed after use.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+importScripts("model-config.js");
+importScripts(...RUNTIME_SCRIPTS, WASM_BACKEND.script, "pipeline.js");
+
+// Resolves once the backend and models are ready
+let pipelineReady = null;
+
+/**
+ * Handles one request from the page.
+ *
+ * @param {object} data - Message data
+ * @returns {Promise<*>} - Result to send back
+ */
+async function handleRequest(data) {
+  if (data.type === "init") {
+    pipelineReady = pipelineReady || initPipeline(data.backend);
+    return pipelineReady;
+  }
+
+  try {
+    await pipelineReady;
+    if (data.type === "analyze") {
+      return await runPipeline(data.bitmap, data.options);
+    }
+    if (data.type === "embed") return await embedMainObject(data.bitmap);
+    throw new Error(`Unknown request "${data.type}"`);
+  } finally {
+    if (data.bitmap) data.bitmap.close();
+  }
+}
+
+self.onmessage = async ({ data }) => {
+  try {
+    self.postMessage({ id: data.id, result: await handleRequest(data) });
+  } catch (err) {
+    self.postMessage({ id: data.id, error: err.message });
+  }
+};
@@ -0,0 +1,250 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - INFERENCE
+ * ============================================================================
+ *
+ * The page's side of the models:
+ * - Starts the inference worker (inference-worker.js) and sends it frames
+ *   as ImageBitmaps. Browsers without OffscreenCanvas in workers run the
+ *   same pipeline (pipeline.js) on the page instead.
+ * - Remembers the tfjs backend the user picked ("auto" tries webgl, wasm,
+ *   then cpu - see selectBackend)
+ * - Measures how long a scan takes and spaces scans out accordingly, so
+ *   slow phones aren't kept busy all the time (nextScanDelay)
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const BACKEND_STORAGE_KEY = "recyclecam.backend";
+const BACKEND_CHOICES = ["auto", "webgl", "wasm", "cpu"];
+
+// Scans may keep the models busy this share of the time
+const TARGET_BUSY_SHARE = 0.5;
+const MIN_SCAN_INTERVAL = 16; // ms - about one display frame
+const MAX_SCAN_INTERVAL = 1000; // ms - never wait longer between scans
+const LATENCY_SMOOTHING = 0.2; // Weight of the newest scan in the average
+
+// ============================================================================
+// BACKEND PREFERENCE
+// ============================================================================
+
+/**
+ * Reads the backend the user picked ("auto" when nothing was saved).
+ */
+function getSavedBackend() {
+  try {
+    const saved = localStorage.getItem(BACKEND_STORAGE_KEY);
+    return BACKEND_CHOICES.includes(saved) ? saved : "auto";
+  } catch (e) {
+    return "auto"; // Storage blocked (private mode)
+  }
+}
+
+/**
+ * Remembers the backend for the next start.
+ */
+function saveBackend(backend) {
+  try {
+    localStorage.setItem(BACKEND_STORAGE_KEY, backend);
+  } catch (e) {
+    // Not fatal - the choice only lasts for this session
+  }
+}
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+let inferenceWorker = null;
+let inferenceInfo = null; // { backend, worker } once the models are ready
+let inferenceStarting = null;
+
+// Worker requests waiting for an answer: id → { resolve, reject }
+const pendingRequests = new Map();
+let nextRequestId = 1;
+
+let averageLatency = 0; // ms per scan
+
+/**
+ * True when the models can run in a worker: frames must reach it as
+ * ImageBitmaps and it must be able to crop them on an OffscreenCanvas.
+ */
+function canUseWorker() {
+  return (
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap !== "undefined"
+  );
+}
+
+/**
+ * Sends a request to the worker.
+ *
+ * @param {string} type - "init", "analyze" or "embed"
+ * @param {object} payload - Request data
+ * @param {Array} [transfer] - Objects to transfer (ImageBitmaps)
+ * @returns {Promise<*>} - The worker's result
+ */
+function callWorker(type, payload, transfer = []) {
+  return new Promise((resolve, reject) => {
+    const id = nextRequestId++;
+    pendingRequests.set(id, { resolve, reject });
+    inferenceWorker.postMessage({ id, type, ...payload }, transfer);
+  });
+}
+
+/**
+ * Routes a worker reply to its waiting request.
+ */
+function onWorkerMessage({ data }) {
+  const request = pendingRequests.get(data.id);
+  if (!request) return;
+  pendingRequests.delete(data.id);
+
+  if (data.error) request.reject(new Error(data.error));
+  else request.resolve(data.result);
+}
+
+/**
+ * Loads a classic script on the page.
+ *
+ * @param {string} url - Script URL
+ * @returns {Promise<void>}
+ */
+function loadScript(url) {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement("script");
+    script.src = url;
+    script.onload = () => resolve();
+    script.onerror = () => reject(new Error(`Could not load ${url}`));
+    document.head.appendChild(script);
+  });
+}
+
+/**
+ * Starts the worker and loads the models in it.
+ *
+ * @param {string} backend - "auto" or a backend name
+ * @returns {Promise<object>} - { backend, worker: true }
+ */
+async function startWorkerInference(backend) {
+  inferenceWorker = new Worker("inference-worker.js");
+  inferenceWorker.onmessage = onWorkerMessage;
+  inferenceWorker.onerror = (e) => {
+    // A worker that failed to load answers nothing - fail every request
+    for (const request of pendingRequests.values()) {
+      request.reject(new Error(e.message || "Inference worker failed"));
+    }
+    pendingRequests.clear();
+  };
+
+  const info = await callWorker("init", { backend });
+  return { ...info, worker: true };
+}
+
+/**
+ * Loads the runtime and the models on the page itself.
+ *
+ * @param {string} backend - "auto" or a backend name
+ * @returns {Promise<object>} - { backend, worker: false }
+ */
+async function startPageInference(backend) {
+  // One after another - each script needs the ones before it
+  for (const url of [...RUNTIME_SCRIPTS, WASM_BACKEND.script]) {
+    await loadScript(url);
+  }
+  const info = await initPipeline(backend);
+  return { ...info, worker: false };
+}
+
+/**
+ * Loads the models once, in the worker when possible.
+ *
+ * @param {string} [backend] - "auto" or a backend name
+ * @returns {Promise<object>} - { backend, worker }
+ */
+function startInference(backend = getSavedBackend()) {
+  if (!inferenceStarting) {
+    inferenceStarting = (async () => {
+      if (canUseWorker()) {
+        try {
+          return (inferenceInfo = await startWorkerInference(backend));
+        } catch (err) {
+          console.warn("Inference worker failed, running on the page:", err);
+          inferenceWorker.terminate();
+          inferenceWorker = null;
+        }
+      }
+      return (inferenceInfo = await startPageInference(backend));
+    })();
+
+    // Allow another attempt after a failure (e.g. offline without weights)
+    inferenceStarting.catch(() => (inferenceStarting = null));
+  }
+  return inferenceStarting;
+}
+
+// ============================================================================
+// REQUESTS
+// ============================================================================
+
+/**
+ * Records how long a scan took.
+ */
+function recordLatency(ms) {
+  averageLatency = averageLatency
+    ? averageLatency * (1 - LATENCY_SMOOTHING) + ms * LATENCY_SMOOTHING
+    : ms;
+}
+
+/**
+ * Time to wait before the next scan: the slower the scans, the longer the
+ * rest in between, so the models are busy at most TARGET_BUSY_SHARE.
+ *
+ * @returns {number} - Milliseconds
+ */
+function nextScanDelay() {
+  const idle = averageLatency * (1 / TARGET_BUSY_SHARE - 1);
+  return Math.min(MAX_SCAN_INTERVAL, Math.max(MIN_SCAN_INTERVAL, idle));
+}
+
+/**
+ * Runs both models on a frame (see runPipeline).
+ *
+ * @param {HTMLVideoElement|HTMLImageElement} source - Frame to analyze
+ * @param {object} options - { topK, embed }
+ * @returns {Promise<Array>} - [{ bbox, predictions, embedding }] best first
+ */
+async function analyzeSource(source, options) {
+  const start = performance.now();
+
+  let regions;
+  if (inferenceWorker) {
+    const bitmap = await createImageBitmap(source);
+    regions = await callWorker("analyze", { bitmap, options }, [bitmap]);
+  } else {
+    regions = await runPipeline(source, options);
+  }
+
+  recordLatency(performance.now() - start);
+  return regions;
+}
+
+/**
+ * Embeds the main object of a frame (see embedMainObject).
+ *
+ * @param {HTMLVideoElement|HTMLImageElement} source - Frame
+ * @returns {Promise<Float32Array>}
+ */
+async function embedSource(source) {
+  if (!inferenceWorker) return embedMainObject(source);
+
+  const bitmap = await createImageBitmap(source);
+  return callWorker("embed", { bitmap }, [bitmap]);
+}
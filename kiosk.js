@@ -0,0 +1,299 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - KIOSK MODE
+ * ============================================================================
+ *
+ * For tablets mounted above shared bins, with nobody looking after them.
+ * Turned on with ?kiosk in the URL or KIOSK_CONFIG.enabled, it:
+ * - starts the camera and the models by itself
+ * - takes each item off the HUD once it has been shown for a while, and
+ *   doesn't show it again until it has been taken away
+ * - shows an attract screen once no item has been seen for a while,
+ *   closing the safety warning and questions nobody is left to answer
+ * - runs a watchdog around the scan loop: when the camera is missing or
+ *   ended, or scans stop finishing, it restarts the camera; when scans still
+ *   don't finish after that, it reloads the page (which starts again)
+ * - locks the settings (header controls, camera controls, corrections)
+ *   behind a PIN. Unlocked settings lock again after a while; the watchdog
+ *   and the attract screen leave the station alone until then.
+ *
+ * The PIN keeps passers-by out of the settings. It is not a secret from
+ * anyone who can read this file or the URL (?kiosk&pin=2468).
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const KIOSK_CONFIG = {
+  enabled: false, // Kiosk mode without ?kiosk (?kiosk=0 turns it off)
+  pin: "", // Unlocks the settings (?pin=...); "" keeps them locked
+  resultMs: 8000, // Longest time an item stays on the HUD
+  idleMs: 45000, // Nothing on the HUD this long → attract screen
+  unlockMs: 300000, // Unlocked settings lock again after this long
+};
+
+const KIOSK_WATCHDOG_MS = 5000; // How often the watchdog checks
+const KIOSK_STALL_MS = 30000; // No scan finished this long → recover
+
+/**
+ * KIOSK_CONFIG with the URL parameters "kiosk" and "pin" applied.
+ *
+ * @returns {object}
+ */
+function readKioskSettings() {
+  const params = new URLSearchParams(location.search);
+  return {
+    ...KIOSK_CONFIG,
+    enabled: params.has("kiosk")
+      ? params.get("kiosk") !== "0"
+      : KIOSK_CONFIG.enabled,
+    pin: params.get("pin") || KIOSK_CONFIG.pin,
+  };
+}
+
+const kioskSettings = readKioskSettings();
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+let kioskLocked = kioskSettings.enabled;
+let kioskUnlockTimer = null;
+let kioskStarting = false; // The camera is being (re)started
+let kioskStartedAt = 0; // Camera (re)started or tab shown again: stall clock
+let kioskRecoveries = 0; // Camera restarts since the last finished scan
+
+let kioskShown = null; // { className, since } of the item on the HUD
+let kioskDoneClass = null; // Item taken off the HUD, until it leaves the view
+let kioskLastKey = null; // Item on the HUD after the last frame
+let kioskIdleSince = Date.now(); // Last time an item was on the HUD
+
+// ============================================================================
+// HUD
+// ============================================================================
+
+const kioskAttract = document.getElementById("kioskAttract");
+const kioskBins = document.getElementById("kioskBins");
+
+/**
+ * Kiosk bookkeeping for one frame of the loop (see app.js). Takes the
+ * stable item off the HUD once its result has been shown for resultMs -
+ * until it leaves the view - and shows the attract screen once nothing has
+ * been on the HUD for idleMs.
+ *
+ * Items are told apart by their label (className): the smoother keys all
+ * uncertain items alike, and each of them should get its turn.
+ *
+ * @param {object} smoothed - { stable, changed } from updateSmoother
+ * @returns {object} - { stable, changed } for the HUD to follow
+ */
+function updateKiosk(smoothed) {
+  if (!kioskSettings.enabled) return smoothed;
+  const now = Date.now();
+  let { stable } = smoothed;
+  const className = stable ? stable.value.className : null;
+
+  // Taken away (or another item came): it may be shown again next time
+  if (className !== kioskDoneClass) kioskDoneClass = null;
+
+  if (stable && className === kioskDoneClass) {
+    stable = null;
+  } else if (stable) {
+    // The time starts once the result itself is up, not the questions
+    // or the safety warning in front of it
+    const held = hazardWarningOpen() || followUpOpen();
+    if (!kioskShown || kioskShown.className !== className || held) {
+      kioskShown = { className, since: now };
+    } else if (now - kioskShown.since >= kioskSettings.resultMs) {
+      kioskDoneClass = className;
+      stable = null;
+    }
+  }
+  if (!stable) kioskShown = null;
+
+  const key = stable ? stable.key : null;
+  const changed = key !== kioskLastKey;
+  kioskLastKey = key;
+
+  if (stable) {
+    kioskIdleSince = now;
+    kioskAttract.hidden = true;
+  } else if (kioskLocked && now - kioskIdleSince >= kioskSettings.idleMs) {
+    showAttractScreen();
+  }
+  return { stable, changed };
+}
+
+/**
+ * Shows the attract screen over the camera view, which keeps scanning
+ * behind it. Anything left open for the last item is closed.
+ */
+function showAttractScreen() {
+  if (!kioskAttract.hidden) return;
+  closeHazardWarning();
+  closeFollowUp();
+  updateCategoryUI(null, null);
+
+  kioskBins.innerHTML = "";
+  for (const [id, bin] of Object.entries(activeProfile.bins)) {
+    const item = document.createElement("li");
+    item.textContent = `${bin.icon} ${binLabel(id)}`;
+    kioskBins.appendChild(item);
+  }
+  kioskAttract.hidden = false;
+}
+
+// ============================================================================
+// WATCHDOG
+// ============================================================================
+
+/**
+ * Starts the camera and models; failures are left to the next check.
+ */
+async function startKioskCamera() {
+  kioskStarting = true;
+  try {
+    await startLiveCamera(false);
+    kioskStartedAt = Date.now();
+  } finally {
+    kioskStarting = false;
+  }
+}
+
+/**
+ * Stops and starts the camera again.
+ */
+async function restartKioskCamera() {
+  running = false;
+  stopCamera();
+  await startKioskCamera();
+}
+
+/**
+ * Checks that the camera runs and that scans keep finishing, and restarts
+ * what stopped. Does nothing while the settings are unlocked.
+ */
+async function checkKiosk() {
+  if (!kioskLocked || kioskStarting || document.hidden) return;
+
+  // Not started yet, start failed, or left for a photo
+  if (!running) {
+    await startKioskCamera();
+    return;
+  }
+
+  const track = cameraTrack();
+  if (!track || track.readyState === "ended") {
+    console.warn("Kiosk: camera stopped - restarting it");
+    await restartKioskCamera();
+    return;
+  }
+
+  if (Date.now() - Math.max(lastScanAt, kioskStartedAt) < KIOSK_STALL_MS) {
+    if (lastScanAt > kioskStartedAt) kioskRecoveries = 0;
+    return;
+  }
+  if (kioskRecoveries === 0) {
+    console.warn("Kiosk: scans stalled - restarting the camera");
+    kioskRecoveries++;
+    await restartKioskCamera();
+  } else {
+    console.warn("Kiosk: scans still stalled - reloading");
+    location.reload();
+  }
+}
+
+// ============================================================================
+// SETTINGS LOCK
+// ============================================================================
+
+const kioskUnlockBtn = document.getElementById("kioskUnlockBtn");
+const kioskLockBtn = document.getElementById("kioskLockBtn");
+const kioskPinPanel = document.getElementById("kioskPinPanel");
+const kioskPinCloseBtn = document.getElementById("kioskPinCloseBtn");
+const kioskPinForm = document.getElementById("kioskPinForm");
+const kioskPinInput = document.getElementById("kioskPinInput");
+const kioskPinStatus = document.getElementById("kioskPinStatus");
+
+/**
+ * Shows the lock state: settings hidden (body.kiosk-locked) and which of
+ * the lock buttons applies.
+ */
+function renderKioskLock() {
+  document.body.classList.toggle("kiosk-locked", kioskLocked);
+  kioskUnlockBtn.hidden = !kioskLocked;
+  kioskLockBtn.hidden = !kioskSettings.enabled || kioskLocked;
+}
+
+/**
+ * Hides the settings again and closes whatever was open.
+ */
+function lockKioskSettings() {
+  kioskLocked = true;
+  clearTimeout(kioskUnlockTimer);
+  for (const panel of document.querySelectorAll(".panel:not([hidden])")) {
+    closePanel(panel);
+  }
+  if (!correctionMenu.hidden) closeCorrectionMenu();
+  renderKioskLock();
+}
+
+/**
+ * Shows the settings until unlockMs is up or they are locked by hand.
+ */
+function unlockKioskSettings() {
+  kioskLocked = false;
+  kioskAttract.hidden = true;
+  kioskUnlockTimer = setTimeout(lockKioskSettings, kioskSettings.unlockMs);
+  renderKioskLock();
+}
+
+/**
+ * Opens the PIN prompt.
+ */
+function openKioskPinPanel() {
+  kioskPinInput.value = "";
+  kioskPinInput.disabled = !kioskSettings.pin;
+  kioskPinStatus.textContent = kioskSettings.pin ? "" : t("kiosk.noPin");
+  openPanel(kioskPinPanel);
+}
+
+kioskUnlockBtn.onclick = () => openKioskPinPanel();
+kioskLockBtn.onclick = () => lockKioskSettings();
+kioskPinCloseBtn.onclick = () => closePanel(kioskPinPanel);
+
+kioskPinForm.onsubmit = (e) => {
+  e.preventDefault();
+  if (kioskSettings.pin && kioskPinInput.value === kioskSettings.pin) {
+    closePanel(kioskPinPanel);
+    unlockKioskSettings();
+  } else {
+    kioskPinInput.value = "";
+    kioskPinStatus.textContent = t("kiosk.wrongPin");
+  }
+};
+
+// ============================================================================
+// STARTUP
+// ============================================================================
+
+/**
+ * Locks the settings, starts the camera and the watchdog. Called by app.js
+ * once everything is loaded.
+ */
+function startKiosk() {
+  renderKioskLock();
+  startKioskCamera();
+  setInterval(checkKiosk, KIOSK_WATCHDOG_MS);
+
+  // No scans run while the tab is hidden: that is no stall, so the stall
+  // clock starts again once it is back
+  document.addEventListener("visibilitychange", () => {
+    if (!document.hidden) kioskStartedAt = Date.now();
+  });
+}
@@ -0,0 +1,479 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - MAPPING EDITOR
+ * ============================================================================
+ *
+ * Edits which labels go in which bin without touching mappings.js: the
+ * 🗂️ Mappings panel lists every bin with its labels, adds labels, removes
+ * them and moves them to another bin, and warns about conflicts (see
+ * findMappingConflicts in rules.js):
+ * - a label listed in two bins
+ * - a label that a shorter label of another bin takes away
+ *
+ * The edited mappings are kept in localStorage and replace materialMappings
+ * in the built-in profile - and so in every region built on it. They can be
+ * exported and imported as JSON:
+ *
+ *   {
+ *     "exported": "2024-05-17T10:00:00.000Z",
+ *     "mappings": {                     // same format as materialMappings
+ *       "glass": ["beer bottle", { "match": "jar", "mode": "exact" }]
+ *     }
+ *   }
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const MAPPINGS_STORAGE_KEY = "recyclecam.mappings";
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks mappings from a file or from storage. Throws with a readable
+ * message.
+ *
+ * @param {object} mappings - Category → entries
+ * @returns {object} - The same mappings
+ */
+function validateMappings(mappings) {
+  if (!mappings || typeof mappings !== "object" || Array.isArray(mappings)) {
+    throw new Error(t("mappings.notMappingsFile"));
+  }
+
+  for (const [category, entries] of Object.entries(mappings)) {
+    if (!defaultBins[category]) {
+      throw new Error(t("mappings.unknownBin", { bin: category }));
+    }
+    const valid =
+      Array.isArray(entries) &&
+      entries.every((entry) => {
+        const patterns =
+          typeof entry === "string"
+            ? [entry]
+            : [].concat((entry && entry.match) || []);
+        return (
+          patterns.length > 0 &&
+          patterns.every((p) => typeof p === "string" && p.trim())
+        );
+      });
+    if (!valid) throw new Error(t("mappings.badEntry", { bin: category }));
+  }
+
+  // Compiling surfaces bad match modes
+  compileRules(mappings);
+  return mappings;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Reads the edited mappings.
+ *
+ * @returns {object|null} - Category → entries, or null: the built-in ones
+ */
+function loadEditedMappings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MAPPINGS_STORAGE_KEY));
+    return saved ? validateMappings(saved.mappings) : null;
+  } catch (e) {
+    console.warn("Saved mappings not usable, using the built-in ones:", e);
+    return null;
+  }
+}
+
+let editedMappings = loadEditedMappings();
+
+/**
+ * Saves the edited mappings (or forgets them, back to the built-in ones).
+ */
+function saveEditedMappings() {
+  try {
+    if (editedMappings) {
+      localStorage.setItem(
+        MAPPINGS_STORAGE_KEY,
+        JSON.stringify({ updated: Date.now(), mappings: editedMappings })
+      );
+    } else {
+      localStorage.removeItem(MAPPINGS_STORAGE_KEY);
+    }
+  } catch (e) {
+    console.warn("Could not save mappings:", e);
+  }
+}
+
+/**
+ * Makes the active region use the current mappings.
+ */
+async function applyMappings() {
+  setDefaultMappings(editedMappings || materialMappings);
+  await selectRegion(activeProfile.id, true);
+}
+
+// ============================================================================
+// EDITING
+// ============================================================================
+
+/**
+ * Every pattern of a category with the entry it comes from, in order.
+ *
+ * @param {object} mappings - Category → entries
+ * @param {string} category - Category key
+ * @returns {Array<object>} - { pattern, index, entry }
+ */
+function categoryPatterns(mappings, category) {
+  const rows = [];
+  (mappings[category] || []).forEach((entry, index) => {
+    const spec = typeof entry === "string" ? { match: entry } : entry;
+    for (const pattern of [].concat(spec.match || [])) {
+      rows.push({ pattern, index, entry });
+    }
+  });
+  return rows;
+}
+
+/**
+ * Adds a label to a category, as a rule of its own.
+ *
+ * @param {object} mappings - Category → entries (changed in place)
+ * @param {string} category - Category key
+ * @param {string} pattern - Label to match
+ * @param {string} mode - Match mode
+ */
+function addMappingPattern(mappings, category, pattern, mode) {
+  const entry = mode === DEFAULT_MATCH_MODE ? pattern : { match: pattern, mode };
+  mappings[category] = (mappings[category] || []).concat([entry]);
+}
+
+/**
+ * Removes one pattern from an entry; the entry goes when it has none left.
+ *
+ * @param {object} mappings - Category → entries (changed in place)
+ * @param {string} category - Category key
+ * @param {number} index - Position of the entry in its category
+ * @param {string} pattern - Pattern to remove
+ * @returns {string|object} - The entry the pattern came from
+ */
+function removeMappingPattern(mappings, category, index, pattern) {
+  const entries = mappings[category];
+  const entry = entries[index];
+  const rest =
+    typeof entry === "string"
+      ? []
+      : [].concat(entry.match).filter((p) => p !== pattern);
+
+  if (rest.length === 0) entries.splice(index, 1);
+  else entries[index] = { ...entry, match: rest.length === 1 ? rest[0] : rest };
+  return entry;
+}
+
+/**
+ * Moves one pattern to another category. It keeps the options of its
+ * entry (mode, priority, exclusions, display name, hazard).
+ *
+ * @param {object} mappings - Category → entries (changed in place)
+ * @param {string} category - Category key it is in
+ * @param {number} index - Position of the entry in its category
+ * @param {string} pattern - Pattern to move
+ * @param {string} target - Category key to move it to
+ */
+function moveMappingPattern(mappings, category, index, pattern, target) {
+  const entry = removeMappingPattern(mappings, category, index, pattern);
+  const moved = typeof entry === "string" ? entry : { ...entry, match: pattern };
+  mappings[target] = (mappings[target] || []).concat([moved]);
+}
+
+/**
+ * Applies one change to the mappings, then saves, redraws and re-sorts.
+ * The first change starts from a copy of the built-in mappings.
+ *
+ * @param {Function} change - Called with the mappings to change in place
+ */
+function editMappings(change) {
+  if (!editedMappings) {
+    editedMappings = JSON.parse(JSON.stringify(materialMappings));
+  }
+  change(editedMappings);
+  saveEditedMappings();
+  renderMappingEditor();
+  applyMappings();
+}
+
+// ============================================================================
+// MAPPINGS PANEL
+// ============================================================================
+
+const mappingsPanel = document.getElementById("mappingsPanel");
+const mappingsBtn = document.getElementById("mappingsBtn");
+const mappingsCloseBtn = document.getElementById("mappingsCloseBtn");
+const mappingsStatus = document.getElementById("mappingsStatus");
+const mappingWarnings = document.getElementById("mappingWarnings");
+const mappingLabel = document.getElementById("mappingLabel");
+const mappingMode = document.getElementById("mappingMode");
+const mappingBin = document.getElementById("mappingBin");
+const mappingAddBtn = document.getElementById("mappingAddBtn");
+const mappingFilter = document.getElementById("mappingFilter");
+const mappingList = document.getElementById("mappingList");
+const exportMappingsBtn = document.getElementById("exportMappingsBtn");
+const importMappingsBtn = document.getElementById("importMappingsBtn");
+const importMappingsInput = document.getElementById("importMappingsInput");
+const resetMappingsBtn = document.getElementById("resetMappingsBtn");
+
+/**
+ * A bin of the built-in profile as "📦 Paper / Cardboard".
+ */
+function mappingBinName(id) {
+  const bin = defaultBins[id];
+  return bin ? `${bin.icon} ${translateName("bins", id, bin.label)}` : id;
+}
+
+/**
+ * Fills a picker with the bins of the built-in profile.
+ *
+ * @param {HTMLSelectElement} select - Picker to fill
+ * @param {string} selected - Bin id to select
+ */
+function fillMappingBins(select, selected) {
+  select.innerHTML = "";
+  for (const id of Object.keys(defaultBins)) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = mappingBinName(id);
+    select.appendChild(option);
+  }
+  if (defaultBins[selected]) select.value = selected;
+}
+
+/**
+ * Fills the match mode picker (names in the active language).
+ */
+function renderMappingModes() {
+  const selected = mappingMode.value || DEFAULT_MATCH_MODE;
+  mappingMode.innerHTML = "";
+  for (const mode of Object.keys(MATCH_MODE_RANK)) {
+    const option = document.createElement("option");
+    option.value = mode;
+    option.textContent = t(`mappings.mode${toDisplayName(mode)}`);
+    mappingMode.appendChild(option);
+  }
+  mappingMode.value = selected;
+}
+
+/**
+ * One pattern as shown in the list, with the options that set it apart,
+ * e.g. "corn · Exact synonym" or "torch · “Flashlight”".
+ */
+function mappingPatternLabel(pattern, entry) {
+  const parts = [pattern];
+  if (typeof entry === "object") {
+    if (entry.mode && entry.mode !== DEFAULT_MATCH_MODE) {
+      parts.push(t(`mappings.mode${toDisplayName(entry.mode)}`));
+    }
+    if (entry.displayName) parts.push(`“${itemName(entry.displayName)}”`);
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Lists the conflicts in the current mappings.
+ *
+ * @param {object} mappings - Category → entries
+ */
+function renderMappingWarnings(mappings) {
+  const conflicts = findMappingConflicts(mappings);
+  mappingWarnings.innerHTML = "";
+
+  if (conflicts.length === 0) {
+    const empty = document.createElement("li");
+    empty.className = "stat-empty";
+    empty.textContent = t("mappings.noWarnings");
+    mappingWarnings.appendChild(empty);
+    return;
+  }
+
+  for (const conflict of conflicts) {
+    const row = document.createElement("li");
+    row.className = "stat-row";
+    row.textContent =
+      conflict.type === "duplicate"
+        ? t("mappings.duplicate", {
+            label: conflict.pattern,
+            bins: conflict.categories.map(mappingBinName).join(", "),
+          })
+        : t("mappings.shadowed", {
+            label: conflict.pattern,
+            bin: mappingBinName(conflict.category),
+            by: conflict.by,
+            byBin: mappingBinName(conflict.byCategory),
+          });
+    mappingWarnings.appendChild(row);
+  }
+}
+
+/**
+ * One label of the list, with its bin picker (to move it) and remove
+ * button.
+ */
+function mappingRow(category, { pattern, index, entry }) {
+  const row = document.createElement("li");
+  row.className = "stat-row mapping-row";
+
+  const label = document.createElement("span");
+  label.className = "mapping-label";
+  label.textContent = mappingPatternLabel(pattern, entry);
+
+  const move = document.createElement("select");
+  move.className = "region-select";
+  move.setAttribute("aria-label", t("mappings.move", { label: pattern }));
+  fillMappingBins(move, category);
+  move.onchange = () =>
+    editMappings((m) =>
+      moveMappingPattern(m, category, index, pattern, move.value)
+    );
+
+  const remove = document.createElement("button");
+  remove.className = "panel-close";
+  remove.textContent = "✕";
+  remove.setAttribute("aria-label", t("mappings.remove", { label: pattern }));
+  remove.onclick = () =>
+    editMappings((m) => removeMappingPattern(m, category, index, pattern));
+
+  row.append(label, move, remove);
+  return row;
+}
+
+/**
+ * Redraws the bins and their labels, filtered by the search box.
+ *
+ * @param {object} mappings - Category → entries
+ */
+function renderMappingList(mappings) {
+  const filter = normalizeLabel(mappingFilter.value);
+  const categories = new Set([
+    ...Object.keys(defaultBins),
+    ...Object.keys(mappings),
+  ]);
+  mappingList.innerHTML = "";
+
+  for (const category of categories) {
+    const rows = categoryPatterns(mappings, category);
+    const shown = rows.filter(({ pattern }) =>
+      normalizeLabel(pattern).includes(filter)
+    );
+    if (shown.length === 0) continue;
+
+    const heading = document.createElement("h3");
+    heading.textContent = `${mappingBinName(category)} (${rows.length})`;
+    const list = document.createElement("ul");
+    list.className = "stat-list";
+    for (const row of shown) list.appendChild(mappingRow(category, row));
+    mappingList.append(heading, list);
+  }
+
+  if (!mappingList.firstChild) {
+    const empty = document.createElement("p");
+    empty.className = "stat-empty";
+    empty.textContent = t("mappings.noMatch");
+    mappingList.appendChild(empty);
+  }
+}
+
+/**
+ * Redraws the whole panel.
+ */
+function renderMappingEditor() {
+  const mappings = editedMappings || materialMappings;
+  const count = Object.keys(mappings).reduce(
+    (sum, category) => sum + categoryPatterns(mappings, category).length,
+    0
+  );
+  mappingsStatus.textContent = `${t("mappings.count", { count })} · ${t(
+    editedMappings ? "mappings.edited" : "mappings.builtIn"
+  )}`;
+
+  fillMappingBins(mappingBin, mappingBin.value || DEFAULT_FALLBACK_BIN);
+  renderMappingModes();
+  renderMappingWarnings(mappings);
+  renderMappingList(mappings);
+  updateMappingForm();
+}
+
+/**
+ * Enables "Add" once there is a label.
+ */
+function updateMappingForm() {
+  mappingAddBtn.disabled = !mappingLabel.value.trim();
+}
+
+mappingsBtn.onclick = () => {
+  renderMappingEditor();
+  openPanel(mappingsPanel);
+};
+mappingsCloseBtn.onclick = () => closePanel(mappingsPanel);
+
+mappingLabel.oninput = () => updateMappingForm();
+mappingFilter.oninput = () =>
+  renderMappingList(editedMappings || materialMappings);
+
+mappingAddBtn.onclick = () => {
+  const pattern = normalizeLabel(mappingLabel.value);
+  editMappings((m) =>
+    addMappingPattern(m, mappingBin.value, pattern, mappingMode.value)
+  );
+  mappingLabel.value = "";
+  updateMappingForm();
+};
+
+exportMappingsBtn.onclick = () => {
+  const data = {
+    exported: new Date().toISOString(),
+    mappings: editedMappings || materialMappings,
+  };
+  downloadText(
+    "recycle-cam-mappings.json",
+    JSON.stringify(data, null, 2),
+    "application/json"
+  );
+};
+
+importMappingsBtn.onclick = () => importMappingsInput.click();
+importMappingsInput.onchange = async () => {
+  const [file] = importMappingsInput.files;
+  importMappingsInput.value = "";
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+    editedMappings = validateMappings(data && data.mappings);
+  } catch (err) {
+    console.error("Could not import mappings:", err);
+    alert(t("mappings.importFailed", { message: err.message }));
+    return;
+  }
+  saveEditedMappings();
+  renderMappingEditor();
+  applyMappings();
+};
+
+resetMappingsBtn.onclick = () => {
+  if (!confirm(t("mappings.confirmReset"))) return;
+  editedMappings = null;
+  saveEditedMappings();
+  renderMappingEditor();
+  applyMappings();
+};
+
+// Use the edited mappings from the start
+if (editedMappings) {
+  setDefaultMappings(editedMappings);
+  activateProfile(DEFAULT_PROFILE);
+}
@@ -1,165 +1,377 @@
 /**
  * ============================================================================
- * RECYCLE CAM - MATERIAL MAPPINGS (DEMO VERSION)
+ * RECYCLE CAM - MATERIAL MAPPINGS
  * ============================================================================
  *
- * Simplified mappings for school project demo.
- * Only includes the 4 items being demonstrated.
+ * Maps MobileNet/ImageNet class names to recycling bins.
  *
- * EXPANDED with many MobileNet/ImageNet label variations!
+ * Every bin has its own list of ImageNet labels. The name shown in the HUD is
+ * the label synonym that matched ("beer bottle" → "Beer bottle"), unless a
+ * rule sets its own displayName - used for the look-alike groups, where
+ * MobileNet names something else than what the user is holding.
  *
- * Demo Items:
- * - Water bottle → Plastic
- * - Pen → Landfill
- * - Onion → Compost
- * - Prescription glasses → Landfill
+ * Labels that no rule matches are reported as "unknown" by
+ * mapToRecycleBucket, so gaps in this file show up in the HUD.
+ *
+ * Entries are plain strings (whole-word match) or rule objects with match
+ * mode, priority, exclusions and a display name. See rules.js for the format.
+ * Hazardous items also name their hazard, which picks the safety warning
+ * shown instead of the normal result (see hazards.js). A "guide" links an
+ * entry to its preparation tips and common mistakes (see guides.js).
+ * Items a picture can't settle "ask" follow-up questions (followUpQuestions,
+ * at the end of this file) whose answers pick the bin.
+ * Short, ambiguous words use mode "exact" so they don't catch longer labels
+ * ("plate" vs "license plate", "chain" vs "chain saw").
+ *
+ * These mappings and bins make up the built-in "default" region profile.
+ * Other regions live in regions/*.json (see regions.js).
  *
  * Author: [Your Name]
  * Project: Recycle Cam - AI Waste Sorting Assistant
  * ============================================================================
  */
 
+// ============================================================================
+// BINS
+// ============================================================================
+
+// Bins of the built-in profile, keyed by mapping category.
+// - label: bin name shown in the HUD
+// - icon:  emoji shown next to the bin name
+// - style: CSS class for the icon/card colours (see styles.css)
+// Region profiles may use "color" instead of "style" for their own bins.
+const defaultBins = {
+  compost: { label: "Compost", icon: "🍂", style: "compost" },
+  paper: { label: "Paper / Cardboard", icon: "📦", style: "paper" },
+  metal: { label: "Metal", icon: "🥫", style: "metal" },
+  glass: { label: "Glass", icon: "🍾", style: "glass" },
+  plastic: { label: "Plastic", icon: "🧴", style: "plastic" },
+  hazardous: { label: "Hazardous / Special", icon: "☣️", style: "hazardous" },
+  landfill: { label: "Landfill / Unknown", icon: "🗑️", style: "unknown" },
+};
+
+// Bin used when a rule points at a category the profile has no bin for
+const DEFAULT_FALLBACK_BIN = "landfill";
+
+// ============================================================================
+// MATERIAL MAPPINGS
+// ============================================================================
+
 const materialMappings = {
   // ========================================
   // COMPOST - Organic/Food items
   // ========================================
   compost: [
-    // Onion variations
-    "onion",
-    "red onion",
-    "yellow onion",
-    "white onion",
-    "shallot",
-    "garlic",
-    "leek",
-
-    // MobileNet might confuse with other round vegetables
-    "Granny Smith",
+    // Vegetables
     "head cabbage",
-    "bell pepper",
+    "broccoli",
+    "cauliflower",
+    "zucchini",
+    "courgette",
+    "spaghetti squash",
     "acorn squash",
     "butternut squash",
-    "cucumber",
-    "zucchini",
-    "eggplant",
+    { match: ["cucumber"], exclude: ["sea cucumber"] },
     "artichoke",
+    "bell pepper",
+    "cardoon",
     "mushroom",
-    "turnip",
-    "kohlrabi",
+    { match: ["corn", "ear"], mode: "exact" },
+
+    // Fruit
+    "Granny Smith",
+    "strawberry",
+    "lemon",
+    "pineapple",
+    "banana",
+    "jackfruit",
+    "custard apple",
+    "pomegranate",
+    { match: ["orange", "fig"], mode: "exact" },
+
+    // Prepared food
+    "guacamole",
+    "consomme",
+    "hot pot",
+    "trifle",
+    "ice cream",
+    "ice lolly",
+    "French loaf",
+    "bagel",
+    "pretzel",
+    "cheeseburger",
+    "hotdog",
+    "mashed potato",
+    "carbonara",
+    "chocolate sauce",
+    "dough",
+    "meat loaf",
+    { guide: "pizza", match: ["pizza"] },
+    "potpie",
+    "burrito",
+
+    // Garden and forest
+    "acorn",
+    "buckeye",
+    "rose hip",
+    "coral fungus",
+    "agaric",
+    "gyromitra",
+    "stinkhorn",
+    "earthstar",
+    "hen-of-the-woods",
+    "bolete",
+    { match: ["hay"], mode: "exact" },
+
+    // Soiled paper can't be recycled, but it composts
+    { guide: "paperTowel", match: ["paper towel", "toilet tissue"] },
   ],
 
   // ========================================
   // PAPER / CARDBOARD
   // ========================================
-  paper: [],
+  paper: [
+    { guide: "carton", ask: "containerSoiled", match: ["carton"] },
+    "envelope",
+    "comic book",
+    "book jacket",
+    "menu",
+    "crossword puzzle",
+    "jigsaw puzzle",
+    { match: ["packet"], mode: "exact" },
+  ],
 
   // ========================================
   // METAL
   // ========================================
-  metal: [],
+  metal: [
+    // Kitchen
+    "can opener",
+    "corkscrew",
+    "frying pan",
+    "wok",
+    "caldron",
+    "Dutch oven",
+    "milk can",
+    "ladle",
+    "strainer",
+    "cleaver",
+
+    // Small metal items
+    "padlock",
+    "safety pin",
+    "bottlecap",
+    "thimble",
+    "letter opener",
+    { match: ["chain", "screw", "nail", "buckle", "whistle"], mode: "exact" },
+
+    // Tools (scrap metal)
+    "hammer",
+    "screwdriver",
+  ],
 
   // ========================================
   // GLASS
   // ========================================
-  glass: [],
+  glass: [
+    { guide: "glassBottle", match: ["beer bottle", "wine bottle"] },
+    "beer glass",
+    "goblet",
+    { guide: "glassBottle", match: ["red wine", "whiskey jug"] },
+    { displayName: "Perfume bottle", guide: "glassBottle", match: ["perfume"] },
+  ],
 
   // ========================================
   // PLASTIC
   // ========================================
   plastic: [
-    // Water bottle variations
-    "water bottle",
-    "plastic bottle",
-    "bottle",
-    "pop bottle",
-    "water jug",
-    "flask",
-    "pitcher",
-    "carafe",
-    "jug",
-    "canteen",
-    "thermos",
+    // Bottles and containers
+    {
+      guide: "plasticBottle",
+      ask: "bottleLiquid",
+      match: [
+        "water bottle",
+        "pop bottle",
+        "soda bottle",
+        "pill bottle",
+        "water jug",
+      ],
+    },
+    "lotion",
+    "sunscreen",
+    "soap dispenser",
+    "measuring cup",
+    { guide: "plasticBag", match: ["plastic bag"] },
+    "bucket",
+    { ask: "cupMaterial", match: ["cup"] },
+
     // MobileNet confuses bottles with these!
-    "punching bag",
-    "punch bag",
-    "punching ball",
-    "vacuum",
-    "vase",
-    "shaker",
-    "cocktail shaker",
-    "beer bottle",
-    "wine bottle",
-    "pill bottle",
-    "water tower",
-    "cylinder",
-    "container",
-    "tumbler",
-    "mug",
-    "cup",
-    "barrel",
-    "cask",
-    "drum",
+    {
+      displayName: "Bottle",
+      guide: "plasticBottle",
+      match: [
+        "bottle",
+        "punching bag",
+        "vacuum",
+        "vase",
+        "cocktail shaker",
+        "water tower",
+        "barrel",
+        "drum",
+      ],
+      exclude: ["trash barrel", "steel drum"],
+    },
   ],
 
   // ========================================
   // LANDFILL / NON-RECYCLABLE
   // ========================================
   landfill: [
-    // Pen variations (MobileNet ImageNet classes)
-    "ballpoint",
-    "ballpoint pen",
-    "ball pen",
-    "pen",
-    "fountain pen",
+    // Writing tools
+    { displayName: "Pen", match: ["ballpoint", "ballpoint pen", "fountain pen"] },
     "quill",
-    "quill pen",
-    "pencil",
-    "mechanical pencil",
-    "marker",
-    "felt-tip",
-    "highlighter",
-    "writing implement",
-    "stylus",
-    "rule", // ruler sometimes confused
     "rubber eraser",
-    "plunger", // MobileNet confuses pens with plungers!
-    "plumber's helper",
-    "screwdriver", // long thin objects
-    "hammer",
-    "nail",
-    "lipstick", // cylinder shape
-    "torch",
-    "flashlight",
-    "lighter",
+    "pencil box",
+    "pencil sharpener",
+
+    // MobileNet confuses pens with these!
+    {
+      displayName: "Pen",
+      match: [
+        "plunger",
+        "lipstick",
+        "missile",
+        "projectile",
+        "drumstick",
+        "rule",
+      ],
+    },
+
+    // Glasses
+    {
+      displayName: "Glasses",
+      guide: "glasses",
+      match: ["sunglass", "sunglasses", "loupe"],
+    },
+
+    // Ceramics don't go with glass
+    {
+      guide: "ceramics",
+      match: ["coffee mug", "teapot", "soup bowl", "mixing bowl"],
+    },
+    { guide: "ceramics", match: ["plate"], mode: "exact" },
+
+    // Everything else that can't be recycled
+    "Band Aid",
+    "diaper",
     "candle",
-    "missile",
-    "projectile",
-    "stick",
-    "baton",
-    "drumstick",
-    "match",
+    "lighter",
     "matchstick",
     "stethoscope",
-    "syringe",
-    "thermometer",
-
-    // Glasses variations (MobileNet ImageNet classes)
-    "sunglass",
-    "sunglasses",
-    "eyeglass",
-    "eyeglasses",
-    "glasses",
-    "spectacles",
-    "reading glasses",
-    "eye glasses",
-    "goggles",
-    "loupe",
-    "magnifying glass",
-    "lens",
-    "optical",
-    "frame",
-    "rimless",
-    "bifocal",
-    "monocle",
+    "shower cap",
+    "balloon",
+  ],
+
+  // ========================================
+  // HAZARDOUS / SPECIAL HANDLING
+  // ========================================
+  // Dangerous in every other bin - each entry names its hazard
+  hazardous: [
+    // Medical sharps
+    { hazard: "sharps", match: ["syringe"] },
+
+    // Battery-powered
+    { hazard: "batteries", displayName: "Flashlight", match: ["torch"] },
+
+    // ImageNet has no label for batteries, light bulbs or thermometers:
+    // those are only caught by their barcode (products/products.json, with
+    // hazard "batteries", "bulbs" or "mercury")
+
+    // Electronics (e-waste)
+    {
+      hazard: "electronics",
+      match: [
+        "cellular telephone",
+        "iPod",
+        "remote control",
+        "laptop",
+        "notebook computer",
+        "hand-held computer",
+        "desktop computer",
+        "computer keyboard",
+        "computer mouse",
+        "joystick",
+        "modem",
+        "hard disc",
+        "digital watch",
+        "digital clock",
+        "cassette player",
+        "CD player",
+        "radio",
+        "loudspeaker",
+        "television",
+        "printer",
+        "projector",
+        "hair drier",
+        "electric fan",
+        "toaster",
+        "space heater",
+        "power drill",
+      ],
+      exclude: ["radio telescope"],
+    },
+    { hazard: "electronics", match: ["monitor", "screen", "iron"], mode: "exact" },
+
+    // Aerosol cans
+    { hazard: "aerosols", displayName: "Spray can", match: ["hair spray"] },
   ],
 };
+
+// ============================================================================
+// FOLLOW-UP QUESTIONS
+// ============================================================================
+
+// Questions for items that can't be sorted from a picture alone. A rule with
+// ask: "<question id>" asks that question before its result counts; its own
+// bin is only the guess kept when the user skips.
+// - yes / no question:      { text, yes: outcome, no: outcome }
+// - multiple choice:        { text, choices: [{ id, text, ...outcome }] }
+// - outcome:                { bin } (done) or { next: "<question id>" }
+// Bins are those of the built-in profile; regions move them like any rule.
+// Translations: questions.<question id>.text and .<choice id> in the locale
+// files.
+const followUpQuestions = {
+  cupMaterial: {
+    text: "What is the cup made of?",
+    choices: [
+      { id: "paper", text: "Paper", next: "cupLining" },
+      { id: "plastic", text: "Plastic", bin: "plastic" },
+      { id: "ceramic", text: "Ceramic or glass", bin: "landfill" },
+    ],
+  },
+  cupLining: {
+    text: "Is it shiny or waxy on the inside?",
+    yes: { bin: "landfill" }, // Plastic-lined: paper mills can't pulp it
+    no: { bin: "paper" },
+  },
+
+  containerSoiled: {
+    text: "Is it greasy or soiled with food?",
+    yes: { bin: "compost" },
+    no: { bin: "paper" },
+  },
+
+  bottleLiquid: {
+    text: "Is there still liquid in it?",
+    yes: { next: "bottleContents" },
+    no: { bin: "plastic" },
+  },
+  bottleContents: {
+    text: "What is in it?",
+    choices: [
+      { id: "drink", text: "A drink - I'll pour it out", bin: "plastic" },
+      { id: "chemicals", text: "Oil, paint or chemicals", bin: "hazardous" },
+      { id: "stuck", text: "Something that won't come out", bin: "landfill" },
+    ],
+  },
+};
@@ -0,0 +1,60 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - MODEL & OFFLINE CONFIGURATION
+ * ============================================================================
+ *
+ * Where the AI models and runtime scripts come from. Shared by the model
+ * pipeline (pipeline.js loads the models), the service worker (sw.js
+ * precaches them) and tools/download-models.js (fetches the weights into
+ * models/).
+ *
+ * Each model is tried from its local copy first (models/…, served by the same
+ * web server as the app) and only then from the public model host, so a
+ * station with local weights never needs the network.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const MODEL_CONFIG = {
+  // COCO-SSD for object detection (WHERE)
+  coco: {
+    localUrl: "models/coco-ssd/model.json",
+    remoteUrl:
+      "https://storage.googleapis.com/tfjs-models/savedmodel/ssd_mobilenet_v2/model.json",
+    options: { base: "mobilenet_v2" },
+  },
+
+  // MobileNet for classification (WHAT)
+  mobilenet: {
+    localUrl: "models/mobilenet/model.json",
+    remoteUrl:
+      "https://tfhub.dev/google/imagenet/mobilenet_v2_100_224/classification/2/model.json?tfjs-format=file",
+    options: { version: 2, alpha: 1.0 },
+    // MobileNet v2 expects pixels in [0, 1]; needed when loading by URL
+    inputRange: [0, 1],
+  },
+};
+
+// Runtime scripts loaded by the inference worker (or the page, see
+// inference.js) - precached by the service worker
+const RUNTIME_SCRIPTS = [
+  "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs@4.22.0/dist/tf.min.js",
+  "https://cdn.jsdelivr.net/npm/@tensorflow-models/coco-ssd@2.2.3/dist/coco-ssd.min.js",
+  "https://cdn.jsdelivr.net/npm/@tensorflow-models/mobilenet@2.1.0/dist/mobilenet.min.js",
+];
+
+// WebAssembly backend for machines without usable WebGL.
+// Must be loaded after tf.min.js; the version must match it.
+const WASM_BACKEND = {
+  script:
+    "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.22.0/dist/tf-backend-wasm.min.js",
+  wasmPath: "https://cdn.jsdelivr.net/npm/@tensorflow/tfjs-backend-wasm@4.22.0/dist/",
+  // Binaries tfjs picks from, depending on SIMD and thread support
+  binaries: [
+    "tfjs-backend-wasm.wasm",
+    "tfjs-backend-wasm-simd.wasm",
+    "tfjs-backend-wasm-threaded-simd.wasm",
+  ],
+};
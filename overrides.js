@@ -0,0 +1,208 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - USER CORRECTIONS
+ * ============================================================================
+ *
+ * When the HUD shows the wrong bin, the user can correct it ("Wrong bin?").
+ * Each correction is a local override keyed on the raw MobileNet className:
+ *
+ *   { "beer glass": { bin: "glass", updated: 1715950000000 } }
+ *   { "hat":        { ignore: true, updated: ... } }
+ *
+ * bin is a built-in bin id (defaultBins), whatever the region: each region
+ * moves it to its own bins like the rules it inherits (see rules.js).
+ *
+ * Overrides are kept in localStorage and handed to rules.js, where
+ * mapToRecycleBucket consults them before materialMappings.
+ *
+ * The corrections panel lists every override and exports them together with
+ * a ready-to-merge "mappings" block for mappings.js or a region profile.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const OVERRIDES_STORAGE_KEY = "recyclecam.overrides";
+
+// Exported rules outrank the built-in ones when merged upstream
+const OVERRIDE_RULE_PRIORITY = 10;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Reads the saved overrides.
+ *
+ * @returns {object} - { [className]: override }
+ */
+function loadOverrides() {
+  try {
+    return JSON.parse(localStorage.getItem(OVERRIDES_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {}; // Storage blocked or corrupt - start fresh
+  }
+}
+
+let userOverrides = loadOverrides();
+
+/**
+ * Saves the overrides and makes mapToRecycleBucket use them.
+ */
+function persistOverrides() {
+  try {
+    localStorage.setItem(OVERRIDES_STORAGE_KEY, JSON.stringify(userOverrides));
+  } catch (e) {
+    console.warn("Could not save corrections:", e);
+  }
+  setLabelOverrides(userOverrides);
+}
+
+/**
+ * Records a correction for a label.
+ *
+ * @param {string} className - Raw MobileNet className
+ * @param {object} correction - { bin } (built-in bin id) or { ignore: true }
+ */
+function saveLabelOverride(className, correction) {
+  userOverrides[className] = { ...correction, updated: Date.now() };
+  persistOverrides();
+}
+
+/**
+ * Removes the correction for a label.
+ */
+function removeLabelOverride(className) {
+  delete userOverrides[className];
+  persistOverrides();
+}
+
+/**
+ * Removes every correction.
+ */
+function clearLabelOverrides() {
+  userOverrides = {};
+  persistOverrides();
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Turns overrides into mapping rules that can be pasted into mappings.js or
+ * a region profile's "mappings", plus the list of ignored labels.
+ *
+ * @param {object} overrides - { [className]: override }
+ * @returns {object} - { mappings: { [bin]: [rule] }, ignore: [className] }
+ */
+function overridesToMappings(overrides) {
+  const patternsByBin = {};
+  const ignore = [];
+
+  for (const [className, override] of Object.entries(overrides)) {
+    if (override.ignore) {
+      ignore.push(className);
+      continue;
+    }
+    // The first synonym is enough for an exact match on this label
+    const pattern = className.split(",")[0].trim();
+    (patternsByBin[override.bin] = patternsByBin[override.bin] || []).push(pattern);
+  }
+
+  const mappings = {};
+  for (const [bin, patterns] of Object.entries(patternsByBin)) {
+    mappings[bin] = [
+      { match: patterns, mode: "exact", priority: OVERRIDE_RULE_PRIORITY },
+    ];
+  }
+  return { mappings, ignore };
+}
+
+// ============================================================================
+// CORRECTIONS PANEL
+// ============================================================================
+
+const overridesPanel = document.getElementById("overridesPanel");
+const overridesBtn = document.getElementById("overridesBtn");
+const overridesCloseBtn = document.getElementById("overridesCloseBtn");
+const overridesSummary = document.getElementById("overridesSummary");
+const overridesList = document.getElementById("overridesList");
+const exportOverridesBtn = document.getElementById("exportOverridesBtn");
+const clearOverridesBtn = document.getElementById("clearOverridesBtn");
+
+/**
+ * Redraws the list of corrections.
+ */
+function renderOverrides() {
+  const entries = Object.entries(userOverrides).sort(
+    (a, b) => b[1].updated - a[1].updated
+  );
+
+  overridesSummary.textContent = t("corrections.count", {
+    count: entries.length,
+  });
+  overridesList.innerHTML = "";
+
+  for (const [className, override] of entries) {
+    const target = override.ignore
+      ? t("corrections.notThisItem")
+      : defaultBins[override.bin]
+      ? builtInBinLabel(override.bin)
+      : override.bin;
+
+    const row = document.createElement("li");
+    row.className = "stat-row";
+
+    const label = document.createElement("span");
+    label.textContent = `${className} → ${target}`;
+
+    const remove = document.createElement("button");
+    remove.className = "panel-close";
+    remove.textContent = "✕";
+    remove.setAttribute(
+      "aria-label",
+      t("corrections.remove", { name: className })
+    );
+    remove.onclick = () => {
+      removeLabelOverride(className);
+      renderOverrides();
+    };
+
+    row.append(label, remove);
+    overridesList.appendChild(row);
+  }
+}
+
+overridesBtn.onclick = () => {
+  renderOverrides();
+  openPanel(overridesPanel);
+};
+overridesCloseBtn.onclick = () => closePanel(overridesPanel);
+
+exportOverridesBtn.onclick = () => {
+  const data = {
+    exported: new Date().toISOString(),
+    overrides: userOverrides,
+    ...overridesToMappings(userOverrides),
+  };
+  downloadText(
+    "recycle-cam-corrections.json",
+    JSON.stringify(data, null, 2),
+    "application/json"
+  );
+};
+
+clearOverridesBtn.onclick = () => {
+  if (!confirm(t("corrections.confirmClear"))) return;
+  clearLabelOverrides();
+  renderOverrides();
+};
+
+// Apply the saved corrections from the start
+setLabelOverrides(userOverrides);
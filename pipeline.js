@@ -0,0 +1,345 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - MODEL PIPELINE
+ * ============================================================================
+ *
+ * The model half of the dual-model pipeline:
+ * 1. COCO-SSD finds WHERE the objects are
+ * 2. MobileNet says WHAT each cropped object is (and, for taught items,
+ *    returns its embedding)
+ * Which bin a label goes to is decided on the page (rules.js, confidence.js,
+ * custom-items.js), so this file never needs the region or the corrections.
+ *
+ * Runs inside the inference worker (inference-worker.js). Browsers that
+ * can't run it there load it on the page instead (see inference.js).
+ * Frames may be videos, images, canvases, ImageBitmaps or OffscreenCanvases.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const MAX_OBJECTS = 3; // Most objects sorted in one frame
+const IGNORED_COCO_CLASSES = ["person"]; // The hand holding the item isn't waste
+const CROP_SIZE = 224; // MobileNet input size
+
+// Backends tried in this order when the user picked "auto"
+const BACKEND_ORDER = ["webgl", "wasm", "cpu"];
+
+let cocoModel = null; // COCO-SSD for object detection (WHERE)
+let mobileNetModel = null; // MobileNet for classification (WHAT)
+
+// ============================================================================
+// BACKEND SELECTION
+// ============================================================================
+
+/**
+ * Switches tfjs to a backend and checks that it really computes.
+ * WebGL can initialize fine and still be unusable (blocklisted GPU,
+ * software rendering without float textures).
+ *
+ * @param {string} name - "webgl", "wasm" or "cpu"
+ * @returns {Promise<boolean>}
+ */
+async function backendWorks(name) {
+  try {
+    if (!(await tf.setBackend(name))) return false;
+    await tf.ready();
+
+    const sum = tf.tidy(() => tf.scalar(1).add(tf.scalar(1)));
+    const [value] = await sum.data();
+    sum.dispose();
+    return value === 2;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Picks the tfjs backend: the user's choice first, then BACKEND_ORDER.
+ *
+ * @param {string} [preferred] - "auto" or a backend name
+ * @returns {Promise<string>} - Name of the backend in use
+ */
+async function selectBackend(preferred = "auto") {
+  // The WASM binaries live next to the backend script
+  if (tf.wasm) tf.wasm.setWasmPaths(WASM_BACKEND.wasmPath);
+
+  const order =
+    preferred === "auto"
+      ? BACKEND_ORDER
+      : [preferred, ...BACKEND_ORDER.filter((name) => name !== preferred)];
+
+  for (const name of order) {
+    if (await backendWorks(name)) return name;
+    console.info(`tfjs backend "${name}" is not usable here`);
+  }
+  throw new Error("No TensorFlow.js backend works in this browser");
+}
+
+// ============================================================================
+// MODEL LOADING
+// ============================================================================
+
+/**
+ * Loads a model from its local copy (models/…), falling back to the public
+ * model host when there are no local weights.
+ *
+ * @param {string} name - Model name for logging
+ * @param {Function} loadLocal - Loads from the local URL
+ * @param {Function} loadRemote - Loads from the model host
+ * @returns {Promise<object>} - Loaded model
+ */
+async function loadPreferLocal(name, loadLocal, loadRemote) {
+  try {
+    return await loadLocal();
+  } catch (err) {
+    console.info(`No local ${name} weights, loading from the model host`);
+    return loadRemote();
+  }
+}
+
+/**
+ * Loads both AI models once (in parallel for faster startup).
+ */
+async function loadPipelineModels() {
+  if (cocoModel && mobileNetModel) return;
+
+  const { coco: cocoCfg, mobilenet: mobileCfg } = MODEL_CONFIG;
+  [cocoModel, mobileNetModel] = await Promise.all([
+    loadPreferLocal(
+      "COCO-SSD",
+      () => cocoSsd.load({ ...cocoCfg.options, modelUrl: cocoCfg.localUrl }),
+      () => cocoSsd.load(cocoCfg.options)
+    ),
+    loadPreferLocal(
+      "MobileNet",
+      () =>
+        mobilenet.load({
+          ...mobileCfg.options,
+          modelUrl: mobileCfg.localUrl,
+          inputRange: mobileCfg.inputRange,
+        }),
+      () => mobilenet.load(mobileCfg.options)
+    ),
+  ]);
+}
+
+/**
+ * Selects the backend and loads the models.
+ *
+ * @param {string} [backend] - "auto" or a backend name
+ * @returns {Promise<object>} - { backend } actually in use
+ */
+async function initPipeline(backend = "auto") {
+  const name = await selectBackend(backend);
+  await loadPipelineModels();
+  return { backend: name };
+}
+
+// ============================================================================
+// FRAMES
+// ============================================================================
+
+/**
+ * Creates a canvas that works both in a worker and on the page.
+ */
+function makeCanvas(width, height) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
+
+/**
+ * Returns the pixel size of a frame source (video, image, canvas, bitmap).
+ *
+ * @param {HTMLVideoElement|HTMLImageElement|HTMLCanvasElement|ImageBitmap} source
+ * @returns {object} - { width, height }
+ */
+function getSourceSize(source) {
+  return {
+    width: source.videoWidth || source.naturalWidth || source.width,
+    height: source.videoHeight || source.naturalHeight || source.height,
+  };
+}
+
+/**
+ * Validates detection size and calculates adjusted score.
+ * Filters out detections that are too small (noise) or too large (background).
+ * Boosts score for centered and well-sized objects.
+ *
+ * @param {Array} bbox - Bounding box [x, y, width, height]
+ * @param {number} score - Original confidence score
+ * @param {object} frame - Frame size { width, height }
+ * @returns {number|null} - Adjusted score or null if invalid
+ */
+function validateAndScoreDetection(bbox, score, frame) {
+  const [x, y, w, h] = bbox;
+  const frameArea = frame.width * frame.height;
+  const bboxArea = w * h;
+  const sizeRatio = bboxArea / frameArea;
+
+  // Reject too small (<2%) or too large (>85%) detections
+  if (sizeRatio < 0.02 || sizeRatio > 0.85) {
+    return null;
+  }
+
+  // Calculate center distance (0 = center, 1 = corner)
+  const cx = x + w / 2;
+  const cy = y + h / 2;
+  const dx = (cx - frame.width / 2) / (frame.width / 2);
+  const dy = (cy - frame.height / 2) / (frame.height / 2);
+  const centerDist = Math.sqrt(dx * dx + dy * dy) / Math.sqrt(2);
+
+  // Boost for centered objects (up to 20%)
+  const centerBoost = (1 - centerDist) * 0.2;
+
+  // Boost for good size (10-50% of frame is ideal)
+  const sizeBoost = sizeRatio >= 0.1 && sizeRatio <= 0.5 ? 0.1 : 0;
+
+  // Calculate boosted score, but cap at 1.0 (100%)
+  const boostedScore = score * (1 + centerBoost + sizeBoost);
+  return Math.min(boostedScore, 1.0);
+}
+
+/**
+ * Crops a region from the frame, scaled to MobileNet's 224x224 input.
+ * Some padding around the box gives MobileNet more context.
+ *
+ * @param {Array} bbox - Bounding box [x, y, width, height]
+ * @param {CanvasImageSource} source - Frame to crop from
+ * @param {number} [paddingRatio] - Padding as a share of the shorter side
+ * @returns {HTMLCanvasElement|OffscreenCanvas} - 224x224 crop
+ */
+function cropRegion(bbox, source, paddingRatio = 0.1) {
+  const [x, y, w, h] = bbox;
+  const { width, height } = getSourceSize(source);
+
+  const cropCanvas = makeCanvas(CROP_SIZE, CROP_SIZE);
+  const cropCtx = cropCanvas.getContext("2d");
+
+  // Add padding around the detection for better context
+  const padding = Math.min(w, h) * paddingRatio;
+  const srcX = Math.max(0, x - padding);
+  const srcY = Math.max(0, y - padding);
+  const srcW = Math.min(width - srcX, w + padding * 2);
+  const srcH = Math.min(height - srcY, h + padding * 2);
+
+  // Draw cropped region scaled to 224x224
+  cropCtx.drawImage(source, srcX, srcY, srcW, srcH, 0, 0, CROP_SIZE, CROP_SIZE);
+  return cropCanvas;
+}
+
+/**
+ * The CENTER region of the frame (middle 85% - almost full frame).
+ * Used when COCO-SSD doesn't detect anything (for small objects like pens).
+ *
+ * @param {CanvasImageSource} source - Frame
+ * @returns {Array} - Bounding box [x, y, width, height]
+ */
+function getCenterBox(source) {
+  const { width, height } = getSourceSize(source);
+  const centerSize = Math.min(width, height) * 0.85;
+  return [
+    (width - centerSize) / 2,
+    (height - centerSize) / 2,
+    centerSize,
+    centerSize,
+  ];
+}
+
+// ============================================================================
+// PIPELINE
+// ============================================================================
+
+/**
+ * Finds candidate objects with COCO-SSD, then filters and ranks them with
+ * validateAndScoreDetection.
+ *
+ * @param {CanvasImageSource} source - Frame to search
+ * @returns {Promise<Array>} - [{ bbox, score }] best first
+ */
+async function detectCandidates(source) {
+  const frame = getSourceSize(source);
+  const detections = await cocoModel.detect(source);
+
+  return detections
+    .filter((d) => !IGNORED_COCO_CLASSES.includes(d.class))
+    .map((d) => ({
+      bbox: d.bbox,
+      score: validateAndScoreDetection(d.bbox, d.score, frame),
+    }))
+    .filter((d) => d.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_OBJECTS);
+}
+
+/**
+ * Regions to classify: every COCO-SSD candidate, or the center region
+ * when COCO-SSD finds nothing usable (small objects like pens).
+ *
+ * @param {CanvasImageSource} source - Frame to search
+ * @returns {Promise<Array>} - [{ bbox, padding }] best first
+ */
+async function findRegions(source) {
+  const candidates = await detectCandidates(source);
+  if (candidates.length > 0) {
+    return candidates.map(({ bbox }) => ({ bbox, padding: 0.1 }));
+  }
+  return [{ bbox: getCenterBox(source), padding: 0 }];
+}
+
+/**
+ * MobileNet embedding of a crop (the features before the classifier).
+ *
+ * @param {HTMLCanvasElement|OffscreenCanvas} crop - 224x224 crop
+ * @returns {Promise<Float32Array>}
+ */
+async function embedCrop(crop) {
+  const embedding = tf.tidy(() => mobileNetModel.infer(crop, true));
+  const values = await embedding.data();
+  embedding.dispose();
+  return values;
+}
+
+/**
+ * Runs both models on one frame.
+ *
+ * @param {CanvasImageSource} source - Frame to analyze
+ * @param {object} [options]
+ * @param {number} [options.topK] - MobileNet labels returned per region
+ * @param {boolean} [options.embed] - Also return each region's embedding
+ * @returns {Promise<Array>} - [{ bbox, predictions, embedding }] best first
+ */
+async function runPipeline(source, { topK = 3, embed = false } = {}) {
+  const regions = [];
+  for (const { bbox, padding } of await findRegions(source)) {
+    const crop = cropRegion(bbox, source, padding);
+    regions.push({
+      bbox,
+      predictions: await mobileNetModel.classify(crop, topK),
+      embedding: embed ? await embedCrop(crop) : null,
+    });
+  }
+  return regions;
+}
+
+/**
+ * Embeds the main object of a frame the same way runPipeline sees it.
+ * Used to capture examples of taught items.
+ *
+ * @param {CanvasImageSource} source - Frame
+ * @returns {Promise<Float32Array>}
+ */
+async function embedMainObject(source) {
+  const [{ bbox, padding }] = await findRegions(source);
+  return embedCrop(cropRegion(bbox, source, padding));
+}
@@ -0,0 +1,648 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - PRODUCT BARCODES
+ * ============================================================================
+ *
+ * Reads EAN/UPC barcodes and looks them up in a local product database that
+ * lists the material and bin of each part of the packaging. A known barcode
+ * is an exact answer, so it goes ahead of the models' guess in the HUD.
+ *
+ * Barcodes are found with the browser's BarcodeDetector where it has one,
+ * otherwise a few rows of the frame are read with barcode-decoder.js.
+ *
+ * The database is products/products.json (shipped with the app) plus the
+ * products imported or added in the 📦 Products panel, which are kept in
+ * IndexedDB and win over the shipped ones. Both use the same format:
+ *
+ *   {
+ *     "products": [
+ *       {
+ *         "code": "2000000000015",        // EAN-13, UPC-A or EAN-8
+ *         "name": "Sample water bottle",
+ *         "components": [                 // main part first
+ *           { "part": "bottle", "material": "PET 1", "bin": "plastic" },
+ *           { "part": "cap", "material": "HDPE 2", "bin": "plastic" }
+ *         ]
+ *       }
+ *     ]
+ *   }
+ *
+ * Bins are ids of the default profile; each region maps them to its own
+ * bins (see resolveBinId).
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const PRODUCT_DB_NAME = "recyclecam-products";
+const PRODUCT_DB_VERSION = 1;
+const PRODUCT_STORE = "products";
+const BUNDLED_PRODUCTS_URL = "products/products.json";
+
+// Retail formats (BarcodeDetector names)
+const BARCODE_FORMATS = ["ean_13", "ean_8", "upc_a", "upc_e"];
+
+const BARCODE_SCAN_WIDTH = 800; // Frame width for the JavaScript decoder
+const BARCODE_SCAN_ROWS = 9; // Rows read per frame, from the centre outwards
+const BARCODE_BOX_HEIGHT = 0.15; // Box drawn around a decoded row (of frame)
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+let productDbPromise = null;
+
+// Products by code, kept in memory for the scanning loop
+let bundledProducts = new Map();
+let addedProducts = new Map();
+
+/**
+ * Opens (and on first use creates) the database of added products.
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+function openProductDb() {
+  if (!productDbPromise) {
+    const request = indexedDB.open(PRODUCT_DB_NAME, PRODUCT_DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(PRODUCT_STORE, { keyPath: "code" });
+    };
+    productDbPromise = requestToPromise(request).catch((err) => {
+      productDbPromise = null; // Try again next time
+      throw err;
+    });
+  }
+  return productDbPromise;
+}
+
+/**
+ * Runs one request against the product store (see withScanStore).
+ *
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {Function} makeRequest - (store) => IDBRequest
+ */
+async function withProductStore(mode, makeRequest) {
+  const db = await openProductDb();
+  const tx = db.transaction(PRODUCT_STORE, mode);
+  const [result] = await Promise.all([
+    requestToPromise(makeRequest(tx.objectStore(PRODUCT_STORE))),
+    transactionToPromise(tx),
+  ]);
+  return result;
+}
+
+/**
+ * Checks one product entry and returns a clean copy. Throws with a
+ * readable message. Bins must be built-in ones (defaultBins): a typo or a
+ * region's own bin would quietly end up in the fallback bin.
+ *
+ * @param {object} entry - Product as written in a file
+ * @returns {object} - { code, name, components: [{ part, material, bin,
+ *   hazard }] } (hazard only on hazardous parts)
+ */
+function validateProduct(entry) {
+  const code = entry && normalizeGtin(entry.code);
+  if (!code) {
+    throw new Error(t("products.badCode", { code: entry && entry.code }));
+  }
+  if (
+    typeof entry.name !== "string" ||
+    !Array.isArray(entry.components) ||
+    entry.components.length === 0 ||
+    entry.components.some((c) => !c || typeof c.bin !== "string")
+  ) {
+    throw new Error(t("products.badEntry", { code }));
+  }
+  const badBin = entry.components.find(
+    (c) => !Object.prototype.hasOwnProperty.call(defaultBins, c.bin)
+  );
+  if (badBin) {
+    throw new Error(
+      t("products.badBin", {
+        code,
+        bin: badBin.bin,
+        bins: pickableBinIds().join(", "),
+      })
+    );
+  }
+
+  return {
+    code,
+    name: entry.name,
+    components: entry.components.map(({ part, material, bin, hazard }) => ({
+      part: String(part || ""),
+      material: String(material || ""),
+      bin,
+      // Safety warning for hazardous parts (see hazards.js)
+      ...(hazard ? { hazard: String(hazard) } : {}),
+    })),
+  };
+}
+
+/**
+ * Loads the products shipped with the app. Bad entries are skipped.
+ */
+async function loadBundledProducts() {
+  const res = await fetch(BUNDLED_PRODUCTS_URL);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const { products } = await res.json();
+
+  bundledProducts = new Map();
+  for (const entry of products) {
+    try {
+      const product = validateProduct(entry);
+      bundledProducts.set(product.code, product);
+    } catch (err) {
+      console.warn("Skipping product:", err.message);
+    }
+  }
+}
+
+/**
+ * Reloads every added product into memory.
+ */
+async function loadAddedProducts() {
+  const products = await withProductStore("readonly", (store) => store.getAll());
+  addedProducts = new Map(products.map((p) => [p.code, p]));
+}
+
+/**
+ * Saves products, replacing added ones with the same code.
+ *
+ * @param {Array<object>} products - Validated products
+ */
+async function saveProducts(products) {
+  const db = await openProductDb();
+  const tx = db.transaction(PRODUCT_STORE, "readwrite");
+  for (const product of products) {
+    tx.objectStore(PRODUCT_STORE).put({ ...product, updated: Date.now() });
+  }
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  await loadAddedProducts();
+}
+
+/**
+ * Deletes one added product (a shipped one with the same code comes back).
+ */
+async function removeProduct(code) {
+  await withProductStore("readwrite", (store) => store.delete(code));
+  await loadAddedProducts();
+}
+
+/**
+ * Deletes every added product.
+ */
+async function clearAddedProducts() {
+  await withProductStore("readwrite", (store) => store.clear());
+  addedProducts = new Map();
+}
+
+/**
+ * Finds a product by code; added products win over shipped ones.
+ *
+ * @param {string} code - GTIN (see normalizeGtin)
+ * @returns {object|null}
+ */
+function lookupProduct(code) {
+  return addedProducts.get(code) || bundledProducts.get(code) || null;
+}
+
+// ============================================================================
+// BARCODE DETECTION
+// ============================================================================
+
+let barcodeDetectorPromise = null;
+let barcodeCanvas = null; // Reused by the JavaScript decoder
+
+// Last barcode seen that isn't in the database, offered in the panel
+let lastUnknownBarcode = null;
+
+/**
+ * The browser's BarcodeDetector for the retail formats, or null when the
+ * browser has none (then barcode-decoder.js is used).
+ *
+ * @returns {Promise<object|null>}
+ */
+function getBarcodeDetector() {
+  if (!barcodeDetectorPromise) {
+    barcodeDetectorPromise = (async () => {
+      if (!("BarcodeDetector" in window)) return null;
+      const supported = await BarcodeDetector.getSupportedFormats();
+      const formats = BARCODE_FORMATS.filter((f) => supported.includes(f));
+      return formats.length > 0 ? new BarcodeDetector({ formats }) : null;
+    })().catch((err) => {
+      console.warn("BarcodeDetector unavailable:", err);
+      return null;
+    });
+  }
+  return barcodeDetectorPromise;
+}
+
+/**
+ * Reads rows of the frame with the JavaScript decoder, from the centre
+ * outwards. Vertical barcodes are not found - turn the item.
+ *
+ * @param {HTMLVideoElement|HTMLImageElement} source - Frame
+ * @returns {object|null} - { code, bbox } in source pixels
+ */
+function decodeBarcodeRows(source) {
+  const { width, height } = getSourceSize(source);
+  const scale = Math.min(1, BARCODE_SCAN_WIDTH / width);
+  const w = Math.round(width * scale);
+  const h = Math.round(height * scale);
+
+  if (!barcodeCanvas) barcodeCanvas = makeCanvas(w, h);
+  barcodeCanvas.width = w;
+  barcodeCanvas.height = h;
+  const context = barcodeCanvas.getContext("2d", { willReadFrequently: true });
+  context.drawImage(source, 0, 0, w, h);
+
+  for (let i = 0; i < BARCODE_SCAN_ROWS; i++) {
+    // 0, +1, -1, +2, -2, ... steps from the middle row
+    const step = Math.ceil(i / 2) * (i % 2 === 0 ? -1 : 1);
+    const y = Math.round(h / 2 + (step * h) / (BARCODE_SCAN_ROWS + 1));
+    const { data } = context.getImageData(0, y, w, 1);
+    const hit = decodeBarcodeRow(toLuminance(data));
+    if (!hit) continue;
+
+    const boxHeight = height * BARCODE_BOX_HEIGHT;
+    return {
+      code: hit.code,
+      bbox: [
+        hit.start / scale,
+        y / scale - boxHeight / 2,
+        (hit.end - hit.start) / scale,
+        boxHeight,
+      ],
+    };
+  }
+  return null;
+}
+
+/**
+ * Looks for a retail barcode in a frame.
+ *
+ * @param {HTMLVideoElement|HTMLImageElement} source - Frame
+ * @returns {Promise<object|null>} - { code, bbox } with a GTIN code
+ */
+async function detectBarcode(source) {
+  const detector = await getBarcodeDetector();
+  if (!detector) return decodeBarcodeRows(source);
+
+  for (const { rawValue, format, boundingBox } of await detector.detect(source)) {
+    const code = normalizeGtin(rawValue, format);
+    if (!code) continue;
+    const { x, y, width, height } = boundingBox;
+    return { code, bbox: [x, y, width, height] };
+  }
+  return null;
+}
+
+// ============================================================================
+// PRODUCT RESULTS
+// ============================================================================
+
+/**
+ * Builds a mapToRecycleBucket-style result for a product. Its bin is the
+ * main component's, in the active region (see resolveBinId).
+ *
+ * @param {object} product - Product from the database
+ * @param {object} [profile] - Resolved region profile
+ * @returns {object} - Result with product: true and per-component bins
+ */
+function productResult(product, profile = activeProfile) {
+  const components = product.components.map((component) => ({
+    ...component,
+    category: resolveBinId(component.bin, profile),
+  }));
+  const category = components[0].category;
+  return {
+    bucket: profile.bins[category].label,
+    displayName: product.name,
+    category,
+    rule: null,
+    matchedTerm: null,
+    unknown: false,
+    override: null,
+    ignored: false,
+    product: true,
+    code: product.code,
+    components,
+  };
+}
+
+/**
+ * Looks for a known product's barcode in a frame. Used by analyzeFrame
+ * ahead of the models' objects.
+ *
+ * @param {HTMLVideoElement|HTMLImageElement} source - Frame
+ * @returns {Promise<object>} - { object, unknownCode }: object is shaped
+ *   like assessPredictions' (plus bbox) or null; unknownCode is a barcode
+ *   that isn't in the database, or null
+ */
+async function findProduct(source) {
+  let barcode = null;
+  try {
+    barcode = await detectBarcode(source);
+  } catch (err) {
+    console.warn("Barcode detection failed:", err);
+  }
+  if (!barcode) return { object: null, unknownCode: null };
+
+  const product = lookupProduct(barcode.code);
+  if (!product) {
+    lastUnknownBarcode = barcode.code;
+    return { object: null, unknownCode: barcode.code };
+  }
+
+  const result = productResult(product);
+  return {
+    object: {
+      bbox: barcode.bbox,
+      className: barcode.code,
+      // A barcode is read, not guessed
+      probability: 1,
+      result,
+      predictions: [],
+      bins: [{ category: result.category, confidence: 1, labels: [] }],
+      uncertain: false,
+    },
+    unknownCode: null,
+  };
+}
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+
+/**
+ * Turns products into the database file format.
+ *
+ * @param {Array<object>} products - Products
+ * @returns {object} - { exported, products }
+ */
+function productsToJson(products) {
+  return {
+    exported: new Date().toISOString(),
+    products: products.map(({ code, name, components }) => ({
+      code,
+      name,
+      components,
+    })),
+  };
+}
+
+/**
+ * Adds the products of a database file to the added ones. The whole file is
+ * checked first, so a bad entry imports nothing.
+ *
+ * @param {object} data - Parsed database file
+ * @returns {Promise<number>} - Number of products imported
+ */
+async function importProducts(data) {
+  if (!data || !Array.isArray(data.products)) {
+    throw new Error(t("products.notProductsFile"));
+  }
+  const products = data.products.map(validateProduct);
+  await saveProducts(products);
+  return products.length;
+}
+
+// ============================================================================
+// PRODUCTS PANEL
+// ============================================================================
+
+const productsPanel = document.getElementById("productsPanel");
+const productsBtn = document.getElementById("productsBtn");
+const productsCloseBtn = document.getElementById("productsCloseBtn");
+const productsStatus = document.getElementById("productsStatus");
+const productCode = document.getElementById("productCode");
+const productName = document.getElementById("productName");
+const productPart = document.getElementById("productPart");
+const productMaterial = document.getElementById("productMaterial");
+const productBin = document.getElementById("productBin");
+const productSaveBtn = document.getElementById("productSaveBtn");
+const productList = document.getElementById("productList");
+const exportProductsBtn = document.getElementById("exportProductsBtn");
+const importProductsBtn = document.getElementById("importProductsBtn");
+const importProductsInput = document.getElementById("importProductsInput");
+const clearProductsBtn = document.getElementById("clearProductsBtn");
+
+/**
+ * Shows how many products are known.
+ */
+function updateProductsStatus() {
+  const added = addedProducts.size;
+  const total = new Set([...bundledProducts.keys(), ...addedProducts.keys()])
+    .size;
+  productsStatus.textContent = `${t("products.count", { count: total })} · ${t(
+    "products.added",
+    { count: added }
+  )}`;
+}
+
+/**
+ * Fills the bin picker with the default bins (products are stored with
+ * those and mapped to the region's when scanned).
+ */
+function renderProductBins() {
+  const selected = productBin.value;
+  productBin.innerHTML = "";
+  for (const id of pickableBinIds()) {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = builtInBinLabel(id);
+    productBin.appendChild(option);
+  }
+  if (defaultBins[selected]) productBin.value = selected;
+}
+
+/**
+ * One component as "bottle (PET 1) → Plastic", in the active region.
+ *
+ * @param {object} component - Component with its region bin (category)
+ * @returns {string}
+ */
+function componentLabel({ part, material, category }) {
+  const key = material ? "products.component" : "products.componentNoMaterial";
+  return t(key, { part, material, bin: binLabel(category) });
+}
+
+/**
+ * Redraws the list of added products.
+ */
+function renderProducts() {
+  productList.innerHTML = "";
+  updateProductsStatus();
+
+  if (addedProducts.size === 0) {
+    const empty = document.createElement("li");
+    empty.className = "stat-empty";
+    empty.textContent = t("products.empty");
+    productList.appendChild(empty);
+    return;
+  }
+
+  for (const product of addedProducts.values()) {
+    const { components } = productResult(product);
+
+    const row = document.createElement("li");
+    row.className = "stat-row";
+
+    const label = document.createElement("span");
+    label.textContent = `${product.name} · ${product.code}: ${components
+      .map(componentLabel)
+      .join(", ")}`;
+
+    const remove = document.createElement("button");
+    remove.className = "panel-close";
+    remove.textContent = "✕";
+    remove.setAttribute(
+      "aria-label",
+      t("products.remove", { name: product.name })
+    );
+    remove.onclick = async () => {
+      try {
+        await removeProduct(product.code);
+      } catch (err) {
+        console.error("Could not remove product:", err);
+        alert(t("products.removeFailed"));
+      }
+      renderProducts();
+    };
+
+    row.append(label, remove);
+    productList.appendChild(row);
+  }
+}
+
+/**
+ * Enables "Save" once the form has a valid code, a name and a part.
+ */
+function updateProductForm() {
+  productSaveBtn.disabled =
+    !normalizeGtin(productCode.value) ||
+    !productName.value.trim() ||
+    !productPart.value.trim();
+}
+
+/**
+ * Fills the form from a barcode: an unknown one to add, a known one to
+ * extend with another part.
+ *
+ * @param {string} code - GTIN
+ */
+function fillProductForm(code) {
+  const product = lookupProduct(code);
+  productCode.value = code;
+  productName.value = product ? product.name : "";
+  productPart.value = "";
+  productMaterial.value = "";
+  updateProductForm();
+}
+
+productsBtn.onclick = () => {
+  renderProductBins();
+  renderProducts();
+  if (lastUnknownBarcode && !productCode.value) {
+    fillProductForm(lastUnknownBarcode);
+  }
+  updateProductForm();
+  openPanel(productsPanel);
+};
+productsCloseBtn.onclick = () => closePanel(productsPanel);
+
+productCode.oninput = () => {
+  const code = normalizeGtin(productCode.value);
+  // A known code brings its name along, ready for another part
+  if (code && lookupProduct(code) && !productName.value.trim()) {
+    productName.value = lookupProduct(code).name;
+  }
+  updateProductForm();
+};
+productName.oninput = () => updateProductForm();
+productPart.oninput = () => updateProductForm();
+
+/**
+ * Saves the form as a product. A code that is already known gets the part
+ * added to its components (or replaced, for a part of the same name).
+ */
+productSaveBtn.onclick = async () => {
+  const code = normalizeGtin(productCode.value);
+  const existing = lookupProduct(code);
+  const component = {
+    part: productPart.value.trim(),
+    material: productMaterial.value.trim(),
+    bin: productBin.value,
+  };
+  const components = (existing ? existing.components : [])
+    .filter((c) => c.part !== component.part)
+    .concat(component);
+
+  try {
+    await saveProducts([
+      { code, name: productName.value.trim(), components },
+    ]);
+  } catch (err) {
+    console.error("Could not save product:", err);
+    alert(t("products.saveFailed"));
+    return;
+  }
+  console.info(`Saved product ${code} with ${components.length} parts`);
+  if (lastUnknownBarcode === code) lastUnknownBarcode = null;
+  productPart.value = "";
+  productMaterial.value = "";
+  updateProductForm();
+  renderProducts();
+};
+
+exportProductsBtn.onclick = () => {
+  downloadText(
+    "recycle-cam-products.json",
+    JSON.stringify(productsToJson([...addedProducts.values()]), null, 2),
+    "application/json"
+  );
+};
+
+importProductsBtn.onclick = () => importProductsInput.click();
+importProductsInput.onchange = async () => {
+  const [file] = importProductsInput.files;
+  importProductsInput.value = "";
+  if (!file) return;
+
+  try {
+    const count = await importProducts(JSON.parse(await file.text()));
+    renderProducts();
+    productsStatus.textContent = t("products.imported", { count });
+  } catch (err) {
+    console.error("Could not import products:", err);
+    alert(t("products.importFailed", { message: err.message }));
+  }
+};
+
+clearProductsBtn.onclick = async () => {
+  if (!confirm(t("products.confirmClear"))) return;
+  try {
+    await clearAddedProducts();
+  } catch (err) {
+    console.error("Could not remove products:", err);
+    alert(t("products.removeFailed"));
+  }
+  renderProducts();
+};
+
+// Load both product lists from the start
+loadBundledProducts().catch((err) =>
+  console.warn("Shipped product list unavailable:", err)
+);
+loadAddedProducts().catch((err) =>
+  console.warn("Added products are not available in this browser:", err)
+);
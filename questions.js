@@ -0,0 +1,229 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - FOLLOW-UP QUESTIONS
+ * ============================================================================
+ *
+ * Some items can't be sorted from a picture alone: is the cup paper or
+ * plastic, is the box greasy, is there still something in the bottle?
+ * Their rules ask ("ask" in mappings.js) instead of settling on a bin.
+ *
+ * The questions (followUpQuestions) come up over the camera view one at a
+ * time; the answers lead to the bin (followAnswers in rules.js), moved to
+ * the active region's bins like a product's. Only then does the item count
+ * as a result: shown, announced, saved and sent to a smart bin (see
+ * app.js). Skipping keeps the bin of the rule.
+ *
+ * Scanning goes on behind the questions, with the HUD held. The answer is
+ * kept while the item stays in view, so it isn't asked again every frame.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+// Questions being asked: { object, question, answers, done }
+// question: id of the one shown; done: called with the answered object
+let asking = null;
+
+// Last answered item: { className, result } - result with the answered bin
+let answeredItem = null;
+
+// ============================================================================
+// ANSWERS
+// ============================================================================
+
+/**
+ * Whether an object still has follow-up questions to answer.
+ *
+ * @param {object} object - Object from analyzeFrame
+ * @returns {boolean}
+ */
+function needsFollowUp({ className, result, uncertain }) {
+  return (
+    !uncertain &&
+    !!result.ask &&
+    !(answeredItem && answeredItem.className === className)
+  );
+}
+
+/**
+ * The object with the bin its answers picked, if it was answered.
+ *
+ * @param {object} object - Object from analyzeFrame
+ * @returns {object}
+ */
+function answeredObject(object) {
+  return answeredItem && answeredItem.className === object.className
+    ? { ...object, result: answeredItem.result }
+    : object;
+}
+
+/**
+ * Drops the last answer once another item (or none) is in view.
+ *
+ * @param {object|null} object - Object now in view
+ */
+function forgetFollowUp(object) {
+  if (!object || answeredObject(object) === object) answeredItem = null;
+}
+
+// ============================================================================
+// QUESTION CARD
+// ============================================================================
+
+const questionCard = document.getElementById("questionCard");
+const questionTitle = document.getElementById("questionTitle");
+const questionText = document.getElementById("questionText");
+const questionAnswerList = document.getElementById("questionAnswers");
+const questionSkipBtn = document.getElementById("questionSkipBtn");
+
+/**
+ * A question's texts in the active language, falling back to the English
+ * ones in followUpQuestions.
+ *
+ * @param {string} id - Question id
+ * @returns {object} - { text, answers: [{ id, text }] }
+ */
+function questionTexts(id) {
+  const question = followUpQuestions[id];
+  const translated = translateName("questions", id, {});
+  return {
+    text: translated.text || question.text,
+    answers: questionAnswers(question).map((answer) => ({
+      id: answer.id,
+      text: question.choices
+        ? translated[answer.id] || answer.text
+        : t(`ask.${answer.id}`),
+    })),
+  };
+}
+
+/**
+ * Fills the card with the current question (also after a language change).
+ */
+function renderFollowUp() {
+  if (!asking) return;
+  const { text, answers } = questionTexts(asking.question);
+  questionTitle.textContent = t("ask.title", {
+    name: itemName(asking.object.result.displayName),
+  });
+  questionText.textContent = text;
+
+  questionAnswerList.innerHTML = "";
+  for (const answer of answers) {
+    const button = document.createElement("button");
+    button.className = "start-btn";
+    button.textContent = answer.text;
+    button.onclick = () => answerFollowUp(answer.id);
+    questionAnswerList.appendChild(button);
+  }
+}
+
+/**
+ * Shows the current question and reads it out.
+ */
+function presentQuestion() {
+  renderFollowUp();
+  questionCard.hidden = false;
+  questionAnswerList.firstElementChild.focus();
+
+  if (feedbackSettings.speech) {
+    const { text, answers } = questionTexts(asking.question);
+    speak(`${text} ${answers.map((a) => a.text).join(", ")}`);
+  }
+}
+
+/**
+ * Starts asking an object's questions. Nothing happens while others are
+ * being asked.
+ *
+ * @param {object} object - Object from analyzeFrame (needsFollowUp)
+ * @param {Function} done - Called with the object and its answered bin
+ */
+function askFollowUp(object, done) {
+  if (asking) return;
+  asking = { object, question: object.result.ask, answers: [], done };
+  presentQuestion();
+}
+
+/**
+ * Takes an answer: asks the next question, or settles the bin.
+ *
+ * @param {string} answerId - Answer to the question shown
+ */
+function answerFollowUp(answerId) {
+  const answers = [...asking.answers, answerId];
+  const step = followAnswers(asking.object.result.ask, answers);
+  asking.answers = answers;
+
+  if (step.question) {
+    asking.question = step.question;
+    presentQuestion();
+    return;
+  }
+
+  const category = resolveBinId(step.bin);
+  settleFollowUp({
+    ...asking.object.result,
+    category,
+    bucket: activeProfile.bins[category].label,
+    answers,
+  });
+}
+
+/**
+ * Closes the card and hands the answered object over.
+ *
+ * @param {object} result - Result with the bin to use
+ */
+function settleFollowUp(result) {
+  const { object, done } = asking;
+  answeredItem = { className: object.className, result };
+  asking = null;
+  questionCard.hidden = true;
+  done({ ...object, result });
+}
+
+/**
+ * Skips the questions: the item keeps the bin of its rule.
+ */
+function skipFollowUp() {
+  if (!asking) return;
+  settleFollowUp({ ...asking.object.result, answers: [] });
+}
+
+/**
+ * Whether questions are up.
+ */
+function followUpOpen() {
+  return asking !== null;
+}
+
+/**
+ * Closes the card without an answer and forgets the last one (camera
+ * stopped, new photo).
+ */
+function closeFollowUp() {
+  asking = null;
+  answeredItem = null;
+  questionCard.hidden = true;
+}
+
+/**
+ * HUD state while questions are up, for the replay log (replay.js).
+ */
+function followUpHudState() {
+  const { object, question, answers } = asking;
+  return {
+    state: "question",
+    item: object.result.displayName,
+    question,
+    answers,
+  };
+}
+
+questionSkipBtn.onclick = () => skipFollowUp();
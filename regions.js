@@ -0,0 +1,279 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - REGION PROFILES
+ * ============================================================================
+ *
+ * Every municipality sorts a little differently. A region profile describes
+ * the bins available in one place and which labels go into them.
+ *
+ * The built-in "default" profile is materialMappings + defaultBins from
+ * mappings.js - or the mappings saved in the mapping editor
+ * (mapping-editor.js) in place of materialMappings. Other profiles are JSON
+ * files listed in regions/index.json:
+ *
+ *   {
+ *     "id": "mixed-recycling",
+ *     "name": "Mixed recycling",
+ *     "extends": "default",            // optional: start from another profile
+ *     "bins": {                        // added to / replacing inherited bins
+ *       "recycling": { "label": "Mixed Recycling", "icon": "♻️",
+ *                      "color": "#16a34a" }
+ *     },
+ *     "redirect": { "paper": "recycling" }, // move inherited rules to a bin
+ *     "mappings": { "landfill": ["plastic bag"] }, // extra rules (win ties)
+ *     "fallbackBin": "landfill"
+ *   }
+ *
+ * Bins may also bring a "vibration" pattern, e.g. [100, 50, 300] (see
+ * accessibility.js).
+ *
+ * The chosen region is remembered in localStorage.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const REGION_INDEX_URL = "regions/index.json";
+const REGION_STORAGE_KEY = "recyclecam.region";
+const DEFAULT_REGION_ID = "default";
+
+// Built-in profile - always available, even when regions/ can't be fetched
+const DEFAULT_PROFILE = {
+  id: DEFAULT_REGION_ID,
+  name: "Default",
+  bins: defaultBins,
+  fallbackBin: DEFAULT_FALLBACK_BIN,
+  mappings: materialMappings,
+  redirects: {},
+};
+
+// ============================================================================
+// STATE
+// ============================================================================
+
+let regionIndex = null; // [{ id, name, file }]
+const loadedProfiles = { [DEFAULT_REGION_ID]: DEFAULT_PROFILE };
+let activeProfile = DEFAULT_PROFILE;
+
+// ============================================================================
+// PROFILE RESOLUTION
+// ============================================================================
+
+/**
+ * Builds a complete profile from a JSON spec and the profile it extends.
+ *
+ * @param {object} spec - Profile as written in the JSON file
+ * @param {object|null} base - Resolved parent profile, if any
+ * @returns {object} - { id, name, bins, fallbackBin, mappings, redirects }
+ */
+function resolveProfile(spec, base = null) {
+  const redirect = spec.redirect || {};
+  const bins = { ...(base ? base.bins : {}), ...(spec.bins || {}) };
+  const mappings = {};
+
+  // Every bin id moved away along the chain → its bin here (see resolveBinId)
+  const redirects = {};
+  for (const [from, to] of Object.entries(base ? base.redirects : {})) {
+    redirects[from] = redirect[to] || to;
+  }
+  Object.assign(redirects, redirect);
+
+  // Inherited rules, moved to their new bin where redirected
+  if (base) {
+    for (const [category, entries] of Object.entries(base.mappings)) {
+      const target = redirect[category] || category;
+      mappings[target] = (mappings[target] || []).concat(entries);
+    }
+  }
+
+  // Bins that were redirected away no longer exist in this region
+  for (const [from, to] of Object.entries(redirect)) {
+    if (from !== to) delete bins[from];
+  }
+
+  // The profile's own rules go first so they win ties with inherited ones
+  for (const [category, entries] of Object.entries(spec.mappings || {})) {
+    mappings[category] = entries.concat(mappings[category] || []);
+  }
+
+  const profile = {
+    id: spec.id,
+    name: spec.name || spec.id,
+    bins,
+    fallbackBin:
+      spec.fallbackBin || (base ? base.fallbackBin : DEFAULT_FALLBACK_BIN),
+    mappings,
+    redirects,
+  };
+
+  validateProfile(profile);
+  return profile;
+}
+
+/**
+ * Checks that a resolved profile is usable. Throws with a readable message.
+ *
+ * @param {object} profile - Resolved profile
+ */
+function validateProfile(profile) {
+  if (!profile.id) throw new Error("Region profile is missing an id");
+
+  const where = `Region "${profile.id}"`;
+  if (!profile.bins[profile.fallbackBin]) {
+    throw new Error(`${where}: fallback bin "${profile.fallbackBin}" is not defined`);
+  }
+
+  for (const [id, bin] of Object.entries(profile.bins)) {
+    if (!bin.label || !bin.icon) {
+      throw new Error(`${where}: bin "${id}" needs a label and an icon`);
+    }
+  }
+
+  for (const category of Object.keys(profile.mappings)) {
+    if (!profile.bins[category]) {
+      throw new Error(`${where}: rules point at unknown bin "${category}"`);
+    }
+  }
+
+  // Compiling surfaces bad match modes early
+  compileRules(profile.mappings);
+}
+
+/**
+ * The bin of a profile for a bin id that doesn't come from its rules (e.g.
+ * the product database): follows the region's redirects, so "paper" lands
+ * in "recycling" where paper goes into mixed recycling. Bins the region
+ * doesn't have go to its fallback bin.
+ *
+ * @param {string} id - Bin id
+ * @param {object} [profile] - Resolved profile
+ * @returns {string} - Bin id of the profile
+ */
+function resolveBinId(id, profile = activeProfile) {
+  const target = profile.redirects[id] || id;
+  return profile.bins[target] ? target : profile.fallbackBin;
+}
+
+/**
+ * The bins offered where a bin is picked by hand (corrections, taught
+ * items, products): the built-in ones, whatever the region. They are
+ * stored as picked and moved to the active region's bins when used
+ * (resolveBinId); a region's own bin ids would go to the fallback bin in
+ * every other region.
+ *
+ * @returns {Array<string>} - Built-in bin ids
+ */
+function pickableBinIds() {
+  return Object.keys(DEFAULT_PROFILE.bins);
+}
+
+/**
+ * Replaces the rules of the built-in profile (edited mappings, or
+ * materialMappings again). Profiles extending it are resolved again the
+ * next time they are loaded; call selectRegion to apply the change.
+ *
+ * @param {object} mappings - Category → entries
+ */
+function setDefaultMappings(mappings) {
+  DEFAULT_PROFILE.mappings = mappings;
+  for (const id of Object.keys(loadedProfiles)) {
+    if (id !== DEFAULT_REGION_ID) delete loadedProfiles[id];
+  }
+}
+
+// ============================================================================
+// LOADING
+// ============================================================================
+
+/**
+ * Loads the list of available regions. The default profile is always first;
+ * if the index can't be fetched (offline, file://) it is the only entry.
+ *
+ * @returns {Promise<Array>} - [{ id, name, file }]
+ */
+async function loadRegionIndex() {
+  if (regionIndex) return regionIndex;
+
+  const builtIn = { id: DEFAULT_PROFILE.id, name: DEFAULT_PROFILE.name };
+  try {
+    const res = await fetch(REGION_INDEX_URL);
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const { regions } = await res.json();
+    regionIndex = [builtIn, ...regions];
+  } catch (err) {
+    console.warn("Region list unavailable, using default only:", err);
+    regionIndex = [builtIn];
+  }
+  return regionIndex;
+}
+
+/**
+ * Loads and resolves a region profile by id (following "extends").
+ *
+ * @param {string} id - Region id
+ * @returns {Promise<object>} - Resolved profile
+ */
+async function loadRegionProfile(id) {
+  if (loadedProfiles[id]) return loadedProfiles[id];
+
+  const index = await loadRegionIndex();
+  const entry = index.find((r) => r.id === id);
+  if (!entry || !entry.file) throw new Error(`Unknown region "${id}"`);
+
+  const res = await fetch(`regions/${entry.file}`);
+  if (!res.ok) throw new Error(`Could not load region "${id}" (HTTP ${res.status})`);
+  const spec = await res.json();
+
+  const base = spec.extends ? await loadRegionProfile(spec.extends) : null;
+  const profile = resolveProfile({ ...spec, id }, base);
+  loadedProfiles[id] = profile;
+  return profile;
+}
+
+// ============================================================================
+// SELECTION
+// ============================================================================
+
+/**
+ * Makes a profile the one mapToRecycleBucket uses.
+ *
+ * @param {object} profile - Resolved profile
+ */
+function activateProfile(profile) {
+  setActiveRuleSet(
+    compileRuleSet(
+      profile.mappings,
+      profile.bins,
+      profile.fallbackBin,
+      profile.redirects
+    )
+  );
+  activeProfile = profile;
+}
+
+/**
+ * Returns the region remembered from the last visit.
+ */
+function getSavedRegionId() {
+  try {
+    return localStorage.getItem(REGION_STORAGE_KEY) || DEFAULT_REGION_ID;
+  } catch (e) {
+    return DEFAULT_REGION_ID; // Storage blocked (private mode)
+  }
+}
+
+/**
+ * Remembers the chosen region for the next visit.
+ */
+function saveRegionId(id) {
+  try {
+    localStorage.setItem(REGION_STORAGE_KEY, id);
+  } catch (e) {
+    console.warn("Could not remember region:", e);
+  }
+}
@@ -0,0 +1,413 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - VIDEO REPLAY
+ * ============================================================================
+ *
+ * Plays a video file through the same detection loop as the live camera,
+ * for demos that don't depend on the lighting in the room and for checking
+ * changes to the smoothing and mapping code:
+ * - Real-time playback: the loop scans the playing video like a camera
+ * - Frame by frame: the video is stepped REPLAY_FPS frames per second of
+ *   video and every frame is read, however long the models take - the same
+ *   file gives the same frames on every run
+ * - Every frame read is logged (objects, bins, HUD state) and can be saved
+ *   as JSON Lines to diff between versions
+ * - ⏺ Record saves the live camera as a video to replay later
+ *
+ * The loop itself stays in app.js; it logs through logReplayFrame and only
+ * schedules its own scans while a replay plays in real time.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const REPLAY_FPS = 10; // Frames read per second of video, frame by frame
+const RECORDING_TYPES = ["video/webm;codecs=vp9", "video/webm", "video/mp4"];
+
+// ============================================================================
+// REPLAY STATE
+// ============================================================================
+
+// The replayed video, or null while the camera (or a photo) is the source:
+// { name, url, frameByFrame, playing, autoScan, frame, region, log }
+//   autoScan: the loop schedules its own scans (real-time playback)
+//   frame: index of the last frame read frame by frame (-1: none yet)
+let replay = null;
+
+/**
+ * Waits for one event of an element.
+ */
+function nextEvent(target, type) {
+  return new Promise((resolve) =>
+    target.addEventListener(type, resolve, { once: true })
+  );
+}
+
+/**
+ * Waits until no scan is running, so a step isn't skipped by loop().
+ */
+async function waitForScan() {
+  while (scanning) await new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+/**
+ * Moves the video to a time and waits until that frame can be read.
+ *
+ * @param {number} time - Position in seconds
+ */
+async function seekReplay(time) {
+  if (Math.abs(video.currentTime - time) < 0.001 && video.readyState >= 2) return;
+  const seeked = nextEvent(video, "seeked");
+  video.currentTime = time;
+  await seeked;
+}
+
+/**
+ * Loads a video file into the video element, paused on its first frame.
+ *
+ * @param {File} file - Video file
+ */
+async function loadReplayVideo(file) {
+  replay = {
+    name: file.name,
+    url: URL.createObjectURL(file),
+    frameByFrame: false,
+    playing: false,
+    autoScan: false,
+    frame: -1,
+    region: activeProfile.id,
+    log: [],
+  };
+
+  video.autoplay = false;
+  video.srcObject = null;
+  const loaded = nextEvent(video, "loadedmetadata");
+  video.src = replay.url;
+  await loaded;
+
+  // Recordings from MediaRecorder don't store their length; seeking past
+  // the end makes the browser work it out
+  if (video.duration === Infinity) {
+    const measured = nextEvent(video, "durationchange");
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+    await measured;
+  }
+  await seekReplay(0);
+}
+
+/**
+ * Stops the replay and hands the video element back to the camera.
+ * Called from stopCamera.
+ */
+function endReplay() {
+  if (!replay) return;
+  URL.revokeObjectURL(replay.url);
+  replay = null;
+
+  video.pause();
+  video.removeAttribute("src");
+  video.load();
+  video.autoplay = true;
+  renderReplayControls();
+}
+
+// ============================================================================
+// FRAME LOG
+// ============================================================================
+
+/**
+ * Rounds a probability for the log, so tiny float differences between
+ * runs don't show up in a diff.
+ */
+function roundForLog(value) {
+  return Math.round(value * 10000) / 10000;
+}
+
+/**
+ * Adds one frame read by loop() to the replay log.
+ *
+ * @param {number} time - Position of the frame in the video (seconds)
+ * @param {Array} objects - Objects from analyzeFrame
+ * @param {object} hudState - What the HUD shows after this frame
+ * @param {boolean} changed - The stable item changed on this frame
+ */
+function logReplayFrame(time, objects, hudState, changed) {
+  if (!replay) return;
+  replay.log.push({
+    frame: replay.autoScan ? null : replay.frame, // null: real-time playback
+    time: Math.round(time * 1000) / 1000,
+    objects: objects.map((o) => ({
+      label: o.className,
+      bin: o.result.category,
+      item: o.result.displayName,
+      probability: roundForLog(o.probability),
+      uncertain: !!o.uncertain,
+      match: describeMatch(o.result),
+    })),
+    hud: hudState,
+    changed,
+  });
+  renderReplayControls();
+}
+
+/**
+ * The log as JSON Lines: a header line, then one line per frame.
+ *
+ * @returns {string}
+ */
+function replayLogToJsonLines() {
+  const header = {
+    video: replay.name,
+    mode: replay.frameByFrame ? "frames" : "realtime",
+    fps: replay.frameByFrame ? REPLAY_FPS : null,
+    region: replay.region,
+  };
+  return [header, ...replay.log].map((line) => JSON.stringify(line)).join("\n") + "\n";
+}
+
+// ============================================================================
+// PLAYBACK
+// ============================================================================
+
+/**
+ * Goes back to the start with a fresh log and smoother.
+ */
+async function restartReplay() {
+  pauseReplay();
+  await waitForScan();
+  replay.frame = -1;
+  replay.region = activeProfile.id;
+  replay.log = [];
+  await seekReplay(0);
+
+  resetSmoother(hudSmoother);
+  clearOverlay();
+  updateObjectList([]);
+  updateConfidence(0);
+  updateCategoryUI(null, null);
+  updateTip("noObject");
+  renderReplayControls();
+}
+
+/**
+ * Reads the next frame (frame by frame).
+ *
+ * @returns {Promise<boolean>} - false at the end of the video, or when the
+ *   frame could not be read (tab hidden, classification failed)
+ */
+async function stepReplay() {
+  const session = replay;
+  await waitForScan();
+  const next = session.frame + 1;
+  const time = next / REPLAY_FPS;
+  if (replay !== session || time > video.duration) return false;
+
+  await seekReplay(time);
+  if (replay !== session) return false;
+  session.frame = next;
+  const logged = session.log.length;
+  await loop();
+  if (session.log.length === logged) {
+    session.frame = next - 1; // Read it again next time
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Plays the video: frame by frame, or in real time with the normal loop.
+ * At the end it starts over.
+ */
+async function playReplay() {
+  if (!replay || replay.playing) return;
+  const atEnd = replay.frameByFrame
+    ? (replay.frame + 1) / REPLAY_FPS > video.duration
+    : video.ended;
+  if (atEnd) await restartReplay();
+
+  const session = replay;
+  session.playing = true;
+  renderReplayControls();
+
+  if (!session.frameByFrame) {
+    session.autoScan = true;
+    await video.play();
+    scheduleScan();
+    return;
+  }
+
+  while (session.playing && replay === session && (await stepReplay())) {
+    // Each step waits for its frame to be read
+  }
+  session.playing = false;
+  if (replay === session) renderReplayControls();
+}
+
+/**
+ * Stops playback; stepping goes on from the current position.
+ */
+function pauseReplay() {
+  if (!replay) return;
+  if (replay.autoScan) {
+    replay.frame = Math.floor(video.currentTime * REPLAY_FPS + 0.001);
+  }
+  replay.playing = false;
+  replay.autoScan = false;
+  video.pause();
+  clearTimeout(scanTimer);
+  scanTimer = null;
+  renderReplayControls();
+}
+
+/**
+ * Opens a video file (or a recorded session) in place of the camera.
+ *
+ * @param {File} file - Video file
+ */
+async function startReplay(file) {
+  running = false;
+  stopCamera(); // Also ends the previous replay
+  leaveStillMode();
+
+  try {
+    await loadReplayVideo(file);
+    await loadModels();
+
+    cameraBtn.hidden = false;
+    targetZone.classList.add("visible");
+    showScannerUI();
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+
+    running = true;
+    await restartReplay();
+  } catch (err) {
+    console.error("Error loading video:", err);
+    running = false;
+    endReplay();
+    alert(t("errors.video"));
+  }
+}
+
+// ============================================================================
+// REPLAY CONTROLS
+// ============================================================================
+
+const replayControls = document.getElementById("replayControls");
+const replayPlayBtn = document.getElementById("replayPlayBtn");
+const replayStepBtn = document.getElementById("replayStepBtn");
+const replayFramesBtn = document.getElementById("replayFramesBtn");
+const replayRestartBtn = document.getElementById("replayRestartBtn");
+const replayLogBtn = document.getElementById("replayLogBtn");
+const replayPosition = document.getElementById("replayPosition");
+const videoInput = document.getElementById("videoInput");
+const videoBtn = document.getElementById("videoBtn");
+const startVideoBtn = document.getElementById("startVideoBtn");
+
+/**
+ * Shows the replay controls for the current state.
+ */
+function renderReplayControls() {
+  replayControls.hidden = !replay;
+  if (!replay) return;
+
+  replayPlayBtn.textContent = t(replay.playing ? "replay.pause" : "replay.play");
+  replayFramesBtn.setAttribute("aria-pressed", String(replay.frameByFrame));
+  replayStepBtn.disabled = replay.playing;
+  replayLogBtn.disabled = replay.log.length === 0;
+  replayPosition.textContent = t("replay.frames", { count: replay.log.length });
+}
+
+replayPlayBtn.onclick = () => (replay.playing ? pauseReplay() : playReplay());
+
+replayStepBtn.onclick = async () => {
+  pauseReplay();
+  await stepReplay();
+  renderReplayControls();
+};
+
+replayFramesBtn.onclick = () => {
+  replay.frameByFrame = !replay.frameByFrame;
+  restartReplay(); // One log per mode
+};
+
+replayRestartBtn.onclick = () => restartReplay();
+
+replayLogBtn.onclick = () => {
+  const name = replay.name.replace(/\.[^.]+$/, "");
+  downloadText(
+    `recycle-cam-replay-${name}.jsonl`,
+    replayLogToJsonLines(),
+    "application/x-ndjson"
+  );
+};
+
+videoBtn.onclick = () => videoInput.click();
+startVideoBtn.onclick = () => videoInput.click();
+videoInput.onchange = () => {
+  const [file] = videoInput.files;
+  videoInput.value = ""; // Allow picking the same file again
+  if (file) startReplay(file);
+};
+
+// Real-time playback stops at the end; the log stays for saving
+video.addEventListener("ended", () => {
+  if (replay && replay.autoScan) pauseReplay();
+});
+
+// ============================================================================
+// SESSION RECORDING
+// ============================================================================
+
+const recordBtn = document.getElementById("recordBtn");
+
+let recorder = null; // MediaRecorder while recording the live camera
+
+/**
+ * Shows whether the camera is being recorded. Recording needs
+ * MediaRecorder and a live camera.
+ */
+function renderRecordButton() {
+  recordBtn.hidden = typeof MediaRecorder === "undefined";
+  recordBtn.setAttribute("aria-pressed", String(!!recorder));
+  recordBtn.textContent = t(recorder ? "replay.stopRecording" : "replay.record");
+}
+
+/**
+ * Starts recording the live camera; the video is downloaded when the
+ * recording stops (button again, or the camera stops).
+ */
+function startRecording() {
+  const mimeType = RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  const chunks = [];
+  const session = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+  session.ondataavailable = (e) => chunks.push(e.data);
+  session.onstop = () => {
+    const type = session.mimeType || "video/webm";
+    const extension = type.startsWith("video/mp4") ? "mp4" : "webm";
+    const started = new Date().toISOString().slice(0, 19).replace(/:/g, "-");
+    downloadBlob(
+      `recycle-cam-session-${started}.${extension}`,
+      new Blob(chunks, { type })
+    );
+    if (recorder === session) recorder = null;
+    renderRecordButton();
+  };
+  recorder = session;
+  recorder.start();
+  renderRecordButton();
+}
+
+/**
+ * Stops the recording, if any (the download follows in onstop).
+ */
+function stopRecording() {
+  if (recorder && recorder.state !== "inactive") recorder.stop();
+}
+
+recordBtn.onclick = () => (recorder ? stopRecording() : startRecording());
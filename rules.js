@@ -0,0 +1,555 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - MAPPING RULE ENGINE
+ * ============================================================================
+ *
+ * Turns the entries in materialMappings (mappings.js) into rules and decides
+ * which rule a MobileNet label belongs to.
+ *
+ * Each mapping entry is either a plain string or a rule object:
+ *
+ *   "pen"                                  → word-boundary match on "pen"
+ *   {
+ *     match: ["beer bottle", "wine bottle"], // one or more patterns
+ *     mode: "word",                          // "exact" | "word" | "substring"
+ *     priority: 10,                          // higher wins (default 0)
+ *     exclude: ["picture frame"],            // veto the rule if present
+ *     displayName: "Glass Bottle",           // name shown in the HUD
+ *     hazard: "batteries",                   // safety warning (hazards.js)
+ *     guide: "plasticBottle",                // item tips (guides.js)
+ *     ask: "cupMaterial",                    // follow-up question first
+ *   }
+ *
+ * Match modes:
+ * - exact:     one of the comma-separated label synonyms equals the pattern
+ * - word:      the pattern appears as whole words ("cup" ≠ "cupboard")
+ * - substring: the pattern appears anywhere (the old behaviour)
+ *
+ * When several rules match, the winner is decided by priority, then by match
+ * mode (exact before word before substring), then by the longest pattern, and
+ * only then by declaration order. So "wine bottle" beats "bottle" no matter
+ * which category is listed first.
+ *
+ * A rule that asks leaves the bin to the answers of its follow-up questions
+ * (followUpQuestions in mappings.js, walked by followAnswers); its own bin
+ * is the guess until they are answered.
+ *
+ * User corrections (overrides.js) are consulted before any rule: they are
+ * keyed on the raw MobileNet className and either pick a bin or mark the
+ * label as "not this item".
+ *
+ * No DOM access here, so this file can also be loaded outside the browser.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// CONSTANTS
+// ============================================================================
+
+const DEFAULT_MATCH_MODE = "word";
+
+// Tie-break order when two rules have the same priority (lower = stronger)
+const MATCH_MODE_RANK = { exact: 0, word: 1, substring: 2 };
+
+// ============================================================================
+// LABEL HELPERS
+// ============================================================================
+
+/**
+ * Lower-cases a label and collapses whitespace.
+ *
+ * @param {string} label - Raw label text
+ * @returns {string} - Normalized label
+ */
+function normalizeLabel(label) {
+  return (label || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * Splits a MobileNet className into its synonyms.
+ * e.g. "ballpoint, ballpoint pen, ballpen, Biro" → ["ballpoint", ...]
+ *
+ * @param {string} label - Raw MobileNet className
+ * @returns {Array<string>} - Normalized synonyms
+ */
+function splitLabelTerms(label) {
+  return normalizeLabel(label)
+    .split(",")
+    .map((term) => term.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Finds a synonym as written in the original label, so display names keep
+ * their capitals ("granny smith" → "Granny Smith").
+ *
+ * @param {string} label - Raw MobileNet className
+ * @param {string} term - Normalized synonym
+ * @returns {string} - Synonym in its original spelling
+ */
+function findOriginalTerm(label, term) {
+  const original = (label || "")
+    .split(",")
+    .map((t) => t.trim())
+    .find((t) => normalizeLabel(t) === term);
+  return original || term;
+}
+
+/**
+ * Escapes a string for use inside a RegExp.
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Builds a whole-word matcher for a pattern. Letters and digits count as
+ * word characters, so "cup" does not match "cupboard".
+ *
+ * @param {string} pattern - Normalized pattern
+ * @returns {RegExp}
+ */
+function wordRegExp(pattern) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(pattern)}($|[^a-z0-9])`);
+}
+
+// ============================================================================
+// RULE COMPILATION
+// ============================================================================
+
+/**
+ * Tests a single pattern against a label using the given mode.
+ *
+ * @param {object} matcher - { pattern, mode, regex }
+ * @param {Array<string>} terms - Label synonyms
+ * @returns {string|null} - The synonym that matched, or null
+ */
+function testMatcher(matcher, terms) {
+  switch (matcher.mode) {
+    case "exact":
+      return terms.find((term) => term === matcher.pattern) || null;
+    case "substring":
+      return terms.find((term) => term.includes(matcher.pattern)) || null;
+    default:
+      return terms.find((term) => matcher.regex.test(term)) || null;
+  }
+}
+
+/**
+ * Compiles one pattern into a matcher.
+ */
+function compileMatcher(pattern, mode) {
+  const normalized = normalizeLabel(pattern);
+  return {
+    pattern: normalized,
+    mode,
+    regex: mode === "word" ? wordRegExp(normalized) : null,
+  };
+}
+
+/**
+ * Compiles a materialMappings entry (string or rule object) into one rule
+ * per pattern, so each pattern can be reported and ranked on its own.
+ *
+ * @param {string|object} entry - Mapping entry
+ * @param {string} category - Category key the entry belongs to
+ * @param {number} index - Position of the entry inside its category
+ * @returns {Array<object>} - Compiled rules
+ */
+function compileRule(entry, category, index) {
+  const spec = typeof entry === "string" ? { match: entry } : entry;
+  const mode = spec.mode || DEFAULT_MATCH_MODE;
+
+  if (!(mode in MATCH_MODE_RANK)) {
+    throw new Error(`Unknown match mode "${mode}" in ${category}[${index}]`);
+  }
+  if (spec.ask && !followUpQuestions[spec.ask]) {
+    throw new Error(`Unknown question "${spec.ask}" in ${category}[${index}]`);
+  }
+
+  const patterns = [].concat(spec.match || []);
+  const exclude = [].concat(spec.exclude || []).map((p) =>
+    compileMatcher(p, "word")
+  );
+
+  return patterns.map((pattern) => ({
+    ...compileMatcher(pattern, mode),
+    id: `${category}[${index}]:${normalizeLabel(pattern)}`,
+    category,
+    priority: spec.priority || 0,
+    exclude,
+    displayName: spec.displayName || null,
+    hazard: spec.hazard || null,
+    guide: spec.guide || null,
+    ask: spec.ask || null,
+  }));
+}
+
+/**
+ * Compiles a whole mappings object ({ category: [entries] }) into a flat
+ * rule list.
+ *
+ * @param {object} mappings - Category → entries
+ * @returns {Array<object>} - Compiled rules in declaration order
+ */
+function compileRules(mappings) {
+  const rules = [];
+  for (const [category, entries] of Object.entries(mappings)) {
+    entries.forEach((entry, index) => {
+      rules.push(...compileRule(entry, category, index));
+    });
+  }
+  rules.forEach((rule, seq) => (rule.seq = seq));
+  return rules;
+}
+
+/**
+ * Sort comparator: the strongest rule comes first.
+ */
+function compareRules(a, b) {
+  return (
+    b.priority - a.priority ||
+    MATCH_MODE_RANK[a.mode] - MATCH_MODE_RANK[b.mode] ||
+    b.pattern.length - a.pattern.length ||
+    a.seq - b.seq
+  );
+}
+
+// ============================================================================
+// MATCHING
+// ============================================================================
+
+/**
+ * Finds every rule that matches a label, strongest first.
+ *
+ * @param {string} label - Raw MobileNet className
+ * @param {Array<object>} rules - Compiled rules
+ * @returns {Array<object>} - [{ rule, term }] sorted by strength
+ */
+function findMatchingRules(label, rules) {
+  const terms = splitLabelTerms(label);
+  if (terms.length === 0) return [];
+
+  const hits = [];
+  for (const rule of rules) {
+    const term = testMatcher(rule, terms);
+    if (!term) continue;
+
+    // Exclusion patterns veto the rule for this label
+    const excluded = rule.exclude.some((ex) => testMatcher(ex, terms));
+    if (excluded) continue;
+
+    hits.push({ rule, term });
+  }
+
+  return hits.sort((a, b) => compareRules(a.rule, b.rule));
+}
+
+/**
+ * Finds the single best rule for a label.
+ *
+ * @param {string} label - Raw MobileNet className
+ * @param {Array<object>} rules - Compiled rules
+ * @returns {object|null} - { rule, term } or null if nothing matched
+ */
+function matchLabel(label, rules) {
+  return findMatchingRules(label, rules)[0] || null;
+}
+
+// ============================================================================
+// CONFLICT CHECKS
+// ============================================================================
+
+/**
+ * Finds mapping entries that get in each other's way:
+ * - duplicate: the same pattern is listed in more than one category
+ * - shadowed: a label named exactly like a pattern goes to another
+ *   category, through a shorter pattern that outranks it (higher priority
+ *   or stronger match mode, see compareRules)
+ *
+ * @param {object} mappings - Category → entries
+ * @returns {Array<object>} - { type: "duplicate", pattern, categories } or
+ *   { type: "shadowed", pattern, category, by, byCategory }
+ */
+function findMappingConflicts(mappings) {
+  const rules = compileRules(mappings);
+  const conflicts = [];
+
+  const categoriesByPattern = new Map();
+  for (const rule of rules) {
+    const categories = categoriesByPattern.get(rule.pattern) || [];
+    if (!categories.includes(rule.category)) categories.push(rule.category);
+    categoriesByPattern.set(rule.pattern, categories);
+  }
+  for (const [pattern, categories] of categoriesByPattern) {
+    if (categories.length > 1) {
+      conflicts.push({ type: "duplicate", pattern, categories });
+    }
+  }
+
+  for (const rule of rules) {
+    const hit = matchLabel(rule.pattern, rules);
+    if (
+      hit &&
+      hit.rule.category !== rule.category &&
+      hit.rule.pattern.length < rule.pattern.length
+    ) {
+      conflicts.push({
+        type: "shadowed",
+        pattern: rule.pattern,
+        category: rule.category,
+        by: hit.rule.pattern,
+        byCategory: hit.rule.category,
+      });
+    }
+  }
+
+  return conflicts;
+}
+
+// ============================================================================
+// FOLLOW-UP QUESTIONS
+// ============================================================================
+
+/**
+ * The possible answers to a question: its choices, or yes and no.
+ *
+ * @param {object} question - Entry of followUpQuestions
+ * @returns {Array<object>} - [{ id, text, bin | next }] (yes / no: no text)
+ */
+function questionAnswers(question) {
+  if (question.choices) return question.choices;
+  return [
+    { id: "yes", ...question.yes },
+    { id: "no", ...question.no },
+  ];
+}
+
+/**
+ * Follows answers from a rule's first question to the next question or to
+ * the bin they settle on.
+ *
+ * @param {string} id - Question the rule asks
+ * @param {Array<string>} answers - Answer ids, in the order given
+ * @param {object} [questions] - Question id → question
+ * @returns {object} - { question } (id of the question to ask next) or
+ *   { bin } (bin id of the built-in profile)
+ */
+function followAnswers(id, answers, questions = followUpQuestions) {
+  let current = id;
+  for (let i = 0; i < answers.length; i++) {
+    const question = questions[current];
+    if (!question) throw new Error(`Unknown question "${current}"`);
+
+    const answer = questionAnswers(question).find((a) => a.id === answers[i]);
+    if (!answer) {
+      throw new Error(`"${answers[i]}" is not an answer to "${current}"`);
+    }
+    if (answer.bin) {
+      if (i < answers.length - 1) {
+        throw new Error(`"${current}" settles the bin - too many answers`);
+      }
+      return { bin: answer.bin };
+    }
+    current = answer.next;
+  }
+
+  if (!questions[current]) throw new Error(`Unknown question "${current}"`);
+  return { question: current };
+}
+
+/**
+ * Lists every way through a rule's questions, so a tree can be checked
+ * without asking it. Loops and answers leading nowhere throw.
+ *
+ * @param {string} id - Question the rule asks
+ * @param {object} [questions] - Question id → question
+ * @returns {Array<object>} - [{ answers: [answer ids], bin }]
+ */
+function listAnswerPaths(id, questions = followUpQuestions) {
+  const paths = [];
+  const walk = (current, answers, seen) => {
+    const question = questions[current];
+    if (!question) throw new Error(`Unknown question "${current}"`);
+    if (seen.includes(current)) {
+      throw new Error(`Questions loop: ${[...seen, current].join(" → ")}`);
+    }
+
+    for (const answer of questionAnswers(question)) {
+      const path = [...answers, answer.id];
+      if (answer.bin) paths.push({ answers: path, bin: answer.bin });
+      else if (answer.next) walk(answer.next, path, [...seen, current]);
+      else throw new Error(`"${current}": answer "${answer.id}" leads nowhere`);
+    }
+  };
+  walk(id, [], []);
+  return paths;
+}
+
+// ============================================================================
+// RULE SETS
+// ============================================================================
+
+/**
+ * Compiles mappings together with the bins they sort into.
+ * A rule set is what a region profile boils down to (see regions.js).
+ *
+ * @param {object} mappings - Category → entries
+ * @param {object} [bins] - Category → { label, icon, style|color }
+ * @param {string} [fallbackBin] - Bin for categories missing from bins
+ * @param {object} [redirects] - Bin id → bin it was moved to in the region
+ * @returns {object} - { rules, bins, fallbackBin, redirects }
+ */
+function compileRuleSet(
+  mappings,
+  bins = defaultBins,
+  fallbackBin = DEFAULT_FALLBACK_BIN,
+  redirects = {}
+) {
+  return { rules: compileRules(mappings), bins, fallbackBin, redirects };
+}
+
+let activeRuleSet = null;
+
+/**
+ * Returns the rule set in use, compiling the built-in mappings on first use.
+ */
+function getActiveRuleSet() {
+  if (!activeRuleSet) activeRuleSet = compileRuleSet(materialMappings);
+  return activeRuleSet;
+}
+
+/**
+ * Replaces the rule set used by mapToRecycleBucket.
+ *
+ * @param {object} ruleSet - Result of compileRuleSet
+ */
+function setActiveRuleSet(ruleSet) {
+  activeRuleSet = ruleSet;
+}
+
+// ============================================================================
+// LABEL OVERRIDES
+// ============================================================================
+
+// Raw className → { bin } or { ignore: true }
+let labelOverrides = {};
+
+/**
+ * Replaces the user corrections consulted by mapToRecycleBucket.
+ *
+ * @param {object} overrides - { [className]: { bin } | { ignore: true } }
+ */
+function setLabelOverrides(overrides) {
+  labelOverrides = overrides || {};
+}
+
+// ============================================================================
+// WASTE CATEGORIZATION FUNCTION
+// ============================================================================
+
+/**
+ * Turns a matched label synonym into a friendly name ("water bottle" →
+ * "Water bottle").
+ */
+function toDisplayName(term) {
+  return term.charAt(0).toUpperCase() + term.slice(1);
+}
+
+/**
+ * Maps a detected object label to a recycling category and friendly name.
+ *
+ * Labels that no rule matches come back with unknown: true, the profile's
+ * fallback bin and the label's first synonym as name, so callers can report
+ * them instead of silently dropping them.
+ *
+ * A user correction for the label wins over the rules: it sets override and
+ * either picks the bin - moved to the region's bin where the region
+ * redirects it, like the rules - or marks the label ignored (and unknown).
+ *
+ * category is the id of the bin the label goes to (always one of the
+ * region's bins) - logic keys on it. ask is the follow-up question of the
+ * rule, if any: category is then only a guess (see questions.js). bucket is
+ * that bin's label and displayName the English item name; both are
+ * translated for display (binLabel / itemName in i18n.js).
+ *
+ * @param {string} label - The object class from detection
+ * @param {object} [ruleSet] - Compiled rule set (defaults to the active one)
+ * @returns {object} - { bucket, displayName, category, rule, matchedTerm,
+ *                       unknown, override, ignored, ask }
+ */
+function mapToRecycleBucket(label, ruleSet = getActiveRuleSet()) {
+  const firstTerm = (label || "").split(",")[0].trim();
+  const override = labelOverrides[label];
+
+  if (override) {
+    // Corrections name built-in bins, which the region may have moved
+    const target = ruleSet.redirects[override.bin] || override.bin;
+    const category = ruleSet.bins[target] ? target : ruleSet.fallbackBin;
+    return {
+      bucket: ruleSet.bins[category].label,
+      displayName: toDisplayName(firstTerm),
+      category,
+      rule: null,
+      matchedTerm: null,
+      unknown: !!override.ignore,
+      override,
+      ignored: !!override.ignore,
+      ask: null,
+    };
+  }
+
+  const hit = matchLabel(label, ruleSet.rules);
+
+  if (!hit) {
+    return {
+      bucket: ruleSet.bins[ruleSet.fallbackBin].label,
+      displayName: toDisplayName(firstTerm),
+      category: ruleSet.fallbackBin,
+      rule: null,
+      matchedTerm: null,
+      unknown: true,
+      override: null,
+      ignored: false,
+      ask: null,
+    };
+  }
+
+  const { rule, term } = hit;
+  // Rules may name a bin the region doesn't have
+  const category = ruleSet.bins[rule.category] ? rule.category : ruleSet.fallbackBin;
+  return {
+    bucket: ruleSet.bins[category].label,
+    displayName: rule.displayName || toDisplayName(findOriginalTerm(label, term)),
+    category,
+    rule,
+    matchedTerm: term,
+    unknown: false,
+    override: null,
+    ignored: false,
+    ask: rule.ask,
+  };
+}
+
+/**
+ * Formats a match result for logging, e.g.
+ * "plastic[2]:bottle (word, priority 0) via \"water bottle\"".
+ *
+ * @param {object|null} result - Result from mapToRecycleBucket
+ * @returns {string}
+ */
+function describeMatch(result) {
+  if (result && result.ignored) return "ignored by user correction";
+  if (result && result.custom) return `taught item → ${result.category}`;
+  if (result && result.product) return `barcode ${result.code} → ${result.category}`;
+  if (result && result.override) return `user correction → ${result.category}`;
+  if (result && result.answers) {
+    return `answers ${result.answers.join(", ") || "skipped"} → ${result.category}`;
+  }
+  if (!result || result.unknown) return "no rule matched";
+  const { rule, matchedTerm } = result;
+  return `${rule.id} (${rule.mode}, priority ${rule.priority}) via "${matchedTerm}"`;
+}
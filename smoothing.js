@@ -0,0 +1,129 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - TEMPORAL SMOOTHING
+ * ============================================================================
+ *
+ * Turns the per-frame results of the camera loop into one stable item for
+ * the HUD, so it doesn't flicker between bins or linger on removed items.
+ *
+ * Every item seen gets a track with an evidence score:
+ * - Each frame, all scores decay (old frames count less)
+ * - The item seen this frame adds its probability to its score
+ * - A track becomes the stable item once its score reaches ENTER and it was
+ *   seen in at least minSightings frames
+ * - The stable item stays until its score falls below LEAVE (hysteresis),
+ *   or another item clearly outscores it
+ * - A few frames in a row with nothing in view reset everything
+ *
+ * No DOM access - the smoother can be driven from Node for tuning.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+const SMOOTHING_DEFAULTS = {
+  decay: 0.7, // Share of the score kept from one frame to the next
+  enterScore: 0.8, // Score needed to become the stable item
+  leaveScore: 0.3, // The stable item is dropped below this score
+  minSightings: 2, // Frames an item must be seen in before it is shown
+  switchRatio: 1.5, // A challenger needs this many times the stable score
+  emptyFramesToReset: 3, // Frames with nothing in view that clear everything
+};
+
+// Tracks below this score are forgotten
+const FORGET_SCORE = 0.05;
+
+// ============================================================================
+// SMOOTHER
+// ============================================================================
+
+/**
+ * Creates an empty smoother.
+ *
+ * @param {object} [options] - Overrides for SMOOTHING_DEFAULTS
+ * @returns {object} - Smoother state for updateSmoother
+ */
+function createSmoother(options = {}) {
+  return {
+    options: { ...SMOOTHING_DEFAULTS, ...options },
+    tracks: new Map(), // key → { key, score, sightings, value }
+    stableKey: null,
+    emptyFrames: 0,
+  };
+}
+
+/**
+ * Forgets every track, e.g. when the rules change or the item was removed.
+ *
+ * @param {object} smoother - Smoother from createSmoother
+ */
+function resetSmoother(smoother) {
+  smoother.tracks.clear();
+  smoother.stableKey = null;
+  smoother.emptyFrames = 0;
+}
+
+/**
+ * Feeds one frame into the smoother.
+ *
+ * @param {object} smoother - Smoother from createSmoother
+ * @param {object|null} observation - { key, weight, value } for the item in
+ *   view (weight: its probability, value: anything to hand back), or null
+ *   when nothing is in view
+ * @returns {object} - { stable, changed }
+ *   stable: { key, score, sightings, value } of the stable item, or null
+ *   changed: true when the stable item differs from the previous frame
+ */
+function updateSmoother(smoother, observation) {
+  const { options, tracks } = smoother;
+  const previousKey = smoother.stableKey;
+
+  for (const [key, track] of tracks) {
+    track.score *= options.decay;
+    if (track.score < FORGET_SCORE) tracks.delete(key);
+  }
+
+  if (observation) {
+    smoother.emptyFrames = 0;
+    const track = tracks.get(observation.key) || {
+      key: observation.key,
+      score: 0,
+      sightings: 0,
+    };
+    track.score += observation.weight;
+    track.sightings++;
+    track.value = observation.value;
+    tracks.set(observation.key, track);
+  } else if (++smoother.emptyFrames >= options.emptyFramesToReset) {
+    // The item was taken away - the next one starts from scratch
+    resetSmoother(smoother);
+    return { stable: null, changed: previousKey !== null };
+  }
+
+  // Keep the stable item until its score drops below the leave threshold
+  let stable = tracks.get(previousKey) || null;
+  if (stable && stable.score < options.leaveScore) stable = null;
+
+  // The best other item takes over if it is sure enough
+  let best = null;
+  for (const track of tracks.values()) {
+    if (!best || track.score > best.score) best = track;
+  }
+  if (
+    best &&
+    best !== stable &&
+    best.score >= options.enterScore &&
+    best.sightings >= options.minSightings &&
+    (!stable || best.score >= stable.score * options.switchRatio)
+  ) {
+    stable = best;
+  }
+
+  smoother.stableKey = stable ? stable.key : null;
+  return { stable, changed: smoother.stableKey !== previousKey };
+}
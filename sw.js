@@ -0,0 +1,213 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - SERVICE WORKER
+ * ============================================================================
+ *
+ * Makes the app work with no network at all:
+ * - Precaches the app shell, region profiles, translations, the product
+ *   database and the TensorFlow.js runtime
+ *   (including the WASM backend)
+ * - Precaches local model weights (models/…) when they are present
+ * - Caches everything else it fetches (fonts, remote model weights) on first
+ *   use, so even a station without local weights works offline after one
+ *   successful online start
+ *
+ * App files are served network-first (updates show up right away when
+ * online); scripts, fonts and model weights are served cache-first.
+ * Bump CACHE_VERSION when the list of precached files changes.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+importScripts("model-config.js");
+
+const CACHE_VERSION = "v18";
+const SHELL_CACHE = `recyclecam-shell-${CACHE_VERSION}`;
+const ASSET_CACHE = `recyclecam-assets-${CACHE_VERSION}`;
+
+// Files the app can't start without
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "styles.css",
+  "app.js",
+  "mappings.js",
+  "rules.js",
+  "confidence.js",
+  "regions.js",
+  "i18n.js",
+  "accessibility.js",
+  "model-config.js",
+  "pipeline.js",
+  "inference.js",
+  "inference-worker.js",
+  "smoothing.js",
+  "history.js",
+  "overrides.js",
+  "mapping-editor.js",
+  "custom-items.js",
+  "barcode-decoder.js",
+  "products.js",
+  "bin-output.js",
+  "camera.js",
+  "replay.js",
+  "hazards.js",
+  "questions.js",
+  "kiosk.js",
+  "guides.js",
+  "manifest.webmanifest",
+  "icons/icon.svg",
+  "regions/index.json",
+  "locales/index.json",
+  "products/products.json",
+];
+
+// ============================================================================
+// PRECACHING
+// ============================================================================
+
+/**
+ * Caches a URL if it can be fetched; failures are logged, not fatal.
+ *
+ * @param {Cache} cache - Target cache
+ * @param {string} url - URL to cache
+ * @returns {Promise<Response|null>} - The response, or null on failure
+ */
+async function tryCache(cache, url) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) return null;
+    await cache.put(url, res.clone());
+    return res;
+  } catch (err) {
+    console.warn("[sw] Could not precache", url, err);
+    return null;
+  }
+}
+
+/**
+ * Precaches a model.json and every weight shard it lists.
+ *
+ * @param {Cache} cache - Target cache
+ * @param {string} modelUrl - URL of model.json
+ */
+async function cacheModel(cache, modelUrl) {
+  const res = await tryCache(cache, modelUrl);
+  if (!res) return;
+
+  const { weightsManifest = [] } = await res.json();
+  const base = new URL(modelUrl, self.location.href);
+  const shards = weightsManifest.flatMap((group) =>
+    group.paths.map((path) => new URL(path, base).href)
+  );
+  await Promise.all(shards.map((url) => tryCache(cache, url)));
+}
+
+/**
+ * Precaches the region profiles listed in regions/index.json.
+ */
+async function cacheRegions(cache) {
+  const res = await cache.match("regions/index.json");
+  if (!res) return;
+
+  const { regions } = await res.json();
+  await Promise.all(regions.map((r) => tryCache(cache, `regions/${r.file}`)));
+}
+
+/**
+ * Precaches the locale files listed in locales/index.json.
+ */
+async function cacheLocales(cache) {
+  const res = await cache.match("locales/index.json");
+  if (!res) return;
+
+  const { locales } = await res.json();
+  await Promise.all(locales.map((l) => tryCache(cache, `locales/${l.code}.json`)));
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const shell = await caches.open(SHELL_CACHE);
+      await shell.addAll(APP_SHELL);
+      await cacheRegions(shell);
+      await cacheLocales(shell);
+
+      // Runtime and weights are best-effort: local weights may not be there
+      const assets = await caches.open(ASSET_CACHE);
+      await Promise.all([
+        ...RUNTIME_SCRIPTS.map((url) => tryCache(assets, url)),
+        tryCache(assets, WASM_BACKEND.script),
+        ...WASM_BACKEND.binaries.map((file) =>
+          tryCache(assets, WASM_BACKEND.wasmPath + file)
+        ),
+        cacheModel(assets, MODEL_CONFIG.coco.localUrl),
+        cacheModel(assets, MODEL_CONFIG.mobilenet.localUrl),
+      ]);
+
+      await self.skipWaiting();
+    })()
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    (async () => {
+      // Drop caches from older versions
+      const keep = [SHELL_CACHE, ASSET_CACHE];
+      const names = await caches.keys();
+      await Promise.all(
+        names.filter((n) => !keep.includes(n)).map((n) => caches.delete(n))
+      );
+      await self.clients.claim();
+    })()
+  );
+});
+
+// ============================================================================
+// FETCH STRATEGIES
+// ============================================================================
+
+/**
+ * Network-first: fresh when online, cached copy when offline.
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const res = await fetch(request);
+    if (res.ok) await cache.put(request, res.clone());
+    return res;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+/**
+ * Cache-first: anything fetched once is served from cache afterwards.
+ */
+async function cacheFirst(request) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const res = await fetch(request);
+  if (res.ok) {
+    const cache = await caches.open(ASSET_CACHE);
+    await cache.put(request, res.clone());
+  }
+  return res;
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  const isAppFile =
+    url.origin === self.location.origin && !url.pathname.includes("/models/");
+
+  event.respondWith(isAppFile ? networkFirst(request) : cacheFirst(request));
+});
@@ -0,0 +1,364 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * RECYCLE CAM - MAPPING CONFLICT ANALYZER
+ * ============================================================================
+ *
+ * Runs every one of the 1000 ImageNet labels MobileNet can return through
+ * the app's own rule engine, so a mapping review has the full picture
+ * instead of the few labels someone thought of:
+ *
+ *   node tools/analyze-mappings.js [--region id] [--mappings file.json]
+ *                                  [--json mapping-analysis.json]
+ *                                  [--baseline tools/mapping-baseline.json]
+ *                                  [--assignments] [--update-baseline]
+ *
+ * It reports:
+ * - the bin every label goes to, and through which rule (--assignments
+ *   prints them all; the JSON report always has them)
+ * - every label claimed by more than one rule - a conflict when the rules
+ *   are in different bins ("beer glass": glass:beer glass, landfill:glass)
+ * - every mapping entry that matches no label at all
+ *
+ * Conflicts already known are listed per region in the baseline file. The
+ * command exits with 1 when there are conflicts the baseline doesn't have,
+ * 2 when it could not run. --update-baseline accepts the current conflicts
+ * of the region as known.
+ *
+ * --mappings takes a file exported from the app's mapping editor, in place
+ * of materialMappings. Rules are named "bin:pattern", so the baseline
+ * doesn't change when entries move around inside a bin.
+ *
+ * Needs Node 18+ and nothing else: the labels come from
+ * tools/imagenet-classes.json.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ROOT, loadScripts } = require("./load-scripts");
+
+const CLASSES_FILE = path.join(__dirname, "imagenet-classes.json");
+const UNKNOWN = "(unknown)"; // Bin column for labels no rule matches
+
+// Options that are switches rather than "--name value"
+const FLAGS = ["assignments", "update-baseline"];
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+/**
+ * Reads "--name value" options and switches, with defaults.
+ */
+function readOptions(argv) {
+  const options = {
+    region: "default",
+    mappings: null,
+    json: "mapping-analysis.json",
+    baseline: path.join(ROOT, "tools", "mapping-baseline.json"),
+    assignments: false,
+    "update-baseline": false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const name = argv[i].startsWith("--") ? argv[i].slice(2) : null;
+    if (FLAGS.includes(name)) {
+      options[name] = true;
+      continue;
+    }
+    if (!(name in options) || argv[i + 1] === undefined) {
+      throw new Error(
+        `Unknown option ${argv[i]}\nUsage: node tools/analyze-mappings.js [--region id]`
+      );
+    }
+    options[name] = argv[++i];
+  }
+  return options;
+}
+
+// ============================================================================
+// APP CODE
+// ============================================================================
+
+/**
+ * Loads the mapping code the app runs.
+ *
+ * @returns {object} - App globals by name
+ */
+function loadAppCode() {
+  return loadScripts(
+    ["mappings.js", "rules.js", "regions.js"],
+    [
+      "compileRuleSet",
+      "findMatchingRules",
+      "mapToRecycleBucket",
+      "loadRegionProfile",
+      "setDefaultMappings",
+    ]
+  );
+}
+
+/**
+ * Reads the mappings of a file exported from the mapping editor.
+ *
+ * @param {string} file - Path of the JSON file
+ * @returns {object} - Category → entries
+ */
+function readMappingsFile(file) {
+  const data = JSON.parse(fs.readFileSync(file, "utf8"));
+  if (!data || !data.mappings || typeof data.mappings !== "object") {
+    throw new Error(`${file} is not a mappings file (no "mappings" object)`);
+  }
+  return data.mappings;
+}
+
+// ============================================================================
+// ANALYSIS
+// ============================================================================
+
+/**
+ * Name of a rule that stays the same when entries are reordered.
+ */
+function ruleName(rule) {
+  return `${rule.category}:${rule.pattern}`;
+}
+
+/**
+ * Drops repeated values, keeping the first of each.
+ */
+function unique(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * Runs labels through a rule set.
+ *
+ * @param {object} app - App globals
+ * @param {object} ruleSet - Compiled rule set of the region
+ * @param {Array<string>} labels - MobileNet classNames
+ * @returns {object} - { assignments, claims, unused }
+ *   assignments: [{ label, bin, rule, via }] (bin and rule null: unknown)
+ *   claims: [{ label, bin, rules, bins, conflict }] for labels matched by
+ *     more than one rule, strongest rule first
+ *   unused: names of the rules that match no label
+ */
+function analyzeLabels(app, ruleSet, labels) {
+  const binOf = (rule) =>
+    ruleSet.bins[rule.category] ? rule.category : ruleSet.fallbackBin;
+  const matched = new Set();
+  const assignments = [];
+  const claims = [];
+
+  for (const label of labels) {
+    const result = app.mapToRecycleBucket(label, ruleSet);
+    assignments.push({
+      label,
+      bin: result.unknown ? null : result.category,
+      rule: result.rule ? ruleName(result.rule) : null,
+      via: result.matchedTerm,
+    });
+
+    const hits = app.findMatchingRules(label, ruleSet.rules);
+    for (const { rule } of hits) matched.add(ruleName(rule));
+
+    const rules = unique(hits.map(({ rule }) => ruleName(rule)));
+    if (rules.length > 1) {
+      const bins = unique(hits.map(({ rule }) => binOf(rule)));
+      claims.push({
+        label,
+        bin: result.category,
+        rules,
+        bins,
+        conflict: bins.length > 1,
+      });
+    }
+  }
+
+  const unused = unique(ruleSet.rules.map(ruleName)).filter(
+    (name) => !matched.has(name)
+  );
+  return { assignments, claims, unused };
+}
+
+/**
+ * Compares conflicts with the known ones of the baseline. A conflict is
+ * new when its label isn't known or another rule joined in.
+ *
+ * @param {Array<object>} conflicts - Claims with conflict: true
+ * @param {object} known - { [label]: [rule names] }
+ * @returns {object} - { added: [label], resolved: [label] }
+ */
+function compareWithBaseline(conflicts, known) {
+  const added = conflicts
+    .filter(
+      ({ label, rules }) =>
+        !known[label] || rules.some((rule) => !known[label].includes(rule))
+    )
+    .map(({ label }) => label);
+  const current = new Set(conflicts.map(({ label }) => label));
+  const resolved = Object.keys(known).filter((label) => !current.has(label));
+  return { added, resolved };
+}
+
+/**
+ * Reads the baseline file ({ [region]: { [label]: [rule names] } }).
+ */
+function readBaseline(file) {
+  return fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, "utf8")) : {};
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * Lays out rows of cells as left-aligned text columns.
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => String(row[i]).length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, i) => String(cell).padEnd(widths[i]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * Indents every line of a block of text.
+ */
+function indent(text) {
+  return text
+    .split("\n")
+    .map((line) => `  ${line}`)
+    .join("\n");
+}
+
+/**
+ * The readable summary of an analysis.
+ *
+ * @param {object} report - Report as written to JSON
+ * @param {boolean} withAssignments - List the bin of every label
+ * @returns {string}
+ */
+function formatSummary(report, withAssignments) {
+  const { region, assignments, claims, unused, baseline } = report;
+  const sorted = assignments.filter((a) => a.bin);
+  const conflicts = claims.filter((c) => c.conflict);
+  const shared = claims.filter((c) => !c.conflict);
+  const added = new Set(baseline.added);
+
+  const perBin = {};
+  for (const { bin } of assignments) {
+    perBin[bin || UNKNOWN] = (perBin[bin || UNKNOWN] || 0) + 1;
+  }
+
+  const lines = [
+    `Region "${region}": ${assignments.length} ImageNet labels, ` +
+      `${sorted.length} sorted, ${assignments.length - sorted.length} unknown`,
+    "",
+    formatTable([["Bin", "Labels"], ...Object.entries(perBin)]),
+  ];
+
+  if (withAssignments) {
+    lines.push("", "Assignments");
+    lines.push(
+      indent(
+        formatTable([
+          ["Bin", "Rule", "Label"],
+          ...assignments.map((a) => [a.bin || UNKNOWN, a.rule || "-", a.label]),
+        ])
+      )
+    );
+  }
+
+  lines.push(
+    "",
+    `Conflicts - labels claimed by rules of different bins: ${conflicts.length}` +
+      ` (${added.size} new)`
+  );
+  for (const { label, bin, rules } of conflicts) {
+    const mark = added.has(label) ? "NEW " : "";
+    lines.push(`  ${mark}"${label}" → ${bin}: ${rules.join(", ")}`);
+  }
+
+  lines.push("", `Labels claimed by several rules of one bin: ${shared.length}`);
+  for (const { label, bin, rules } of shared) {
+    lines.push(`  "${label}" → ${bin}: ${rules.join(", ")}`);
+  }
+
+  lines.push("", `Entries that match no ImageNet label: ${unused.length}`);
+  for (const name of unused) lines.push(`  ${name}`);
+
+  if (baseline.resolved.length > 0) {
+    lines.push(
+      "",
+      `No longer conflicting (update the baseline): ${baseline.resolved
+        .map((label) => `"${label}"`)
+        .join(", ")}`
+    );
+  }
+  return lines.join("\n");
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const options = readOptions(process.argv.slice(2));
+  const { classes } = JSON.parse(fs.readFileSync(CLASSES_FILE, "utf8"));
+  const app = loadAppCode();
+
+  if (options.mappings) {
+    app.setDefaultMappings(readMappingsFile(options.mappings));
+  }
+  const profile = await app.loadRegionProfile(options.region);
+  const ruleSet = app.compileRuleSet(
+    profile.mappings,
+    profile.bins,
+    profile.fallbackBin,
+    profile.redirects
+  );
+
+  const analysis = analyzeLabels(app, ruleSet, classes);
+  const conflicts = analysis.claims.filter((c) => c.conflict);
+  const baselines = readBaseline(options.baseline);
+  const baseline = compareWithBaseline(conflicts, baselines[profile.id] || {});
+
+  const report = {
+    region: profile.id,
+    mappings: options.mappings || "mappings.js",
+    date: new Date().toISOString(),
+    ...analysis,
+    baseline,
+  };
+  fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+  console.log(`${formatSummary(report, options.assignments)}\n\nJSON report: ${options.json}`);
+
+  if (options["update-baseline"]) {
+    baselines[profile.id] = Object.fromEntries(
+      conflicts.map(({ label, rules }) => [label, rules])
+    );
+    fs.writeFileSync(options.baseline, JSON.stringify(baselines, null, 2) + "\n");
+    console.log(`Baseline for "${profile.id}" updated: ${options.baseline}`);
+  } else if (baseline.added.length > 0) {
+    console.error(
+      `\n${baseline.added.length} new conflict(s) - fix the mappings or ` +
+        "accept them with --update-baseline"
+    );
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(2);
+});
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * RECYCLE CAM - REGION BIN CHECK
+ * ============================================================================
+ *
+ * Bins picked outside the mapping rules - user corrections (overrides.js)
+ * - name the built-in bins, which a region may have redirected ("paper" is
+ * "recycling" in mixed-recycling). This check runs a correction to every
+ * built-in bin through the app's own code in every region and compares
+ * where it lands with the region's redirects (resolveBinId):
+ *
+ *   node tools/check-bins.js
+ *
+ * Corrections made in one region are then checked in every other one: a
+ * correction to paper made with mixed recycling must still be paper in the
+ * default region, not its fallback bin.
+ *
+ * It prints one line per region, with every bin that lands elsewhere.
+ * Exits with 1 when there is one, 2 when it could not run.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const { loadScripts } = require("./load-scripts");
+
+// Any label will do: the correction wins over the rules
+const LABEL = "beer glass";
+
+/**
+ * Loads the mapping and region code the app runs.
+ *
+ * @returns {object} - App globals by name
+ */
+function loadAppCode() {
+  return loadScripts(
+    ["mappings.js", "rules.js", "regions.js"],
+    [
+      "defaultBins",
+      "setLabelOverrides",
+      "mapToRecycleBucket",
+      "loadRegionIndex",
+      "loadRegionProfile",
+      "activateProfile",
+      "resolveBinId",
+      "pickableBinIds",
+    ]
+  );
+}
+
+/**
+ * Corrections to each built-in bin that don't land where the region moves
+ * that bin.
+ *
+ * @param {object} app - App globals
+ * @param {object} profile - Resolved region profile
+ * @returns {Array<string>} - "bin → got (expected)" per problem
+ */
+function checkOverrides(app, profile) {
+  app.activateProfile(profile);
+  const problems = [];
+  for (const bin of Object.keys(app.defaultBins)) {
+    app.setLabelOverrides({ [LABEL]: { bin } });
+    const { category } = app.mapToRecycleBucket(LABEL);
+    const expected = app.resolveBinId(bin, profile);
+    if (category !== expected) {
+      problems.push(`${bin} → ${category} (expected ${expected})`);
+    }
+  }
+  app.setLabelOverrides({});
+  return problems;
+}
+
+/**
+ * Corrections made in one region, one to each bin the correction menu
+ * offers there (pickableBinIds), that land elsewhere than that bin in
+ * another region - or that aren't built-in bins at all, which the default
+ * region would send to its fallback bin.
+ *
+ * @param {object} app - App globals
+ * @param {object} madeIn - Region profile the corrections were made in
+ * @param {Array<object>} profiles - Every region profile
+ * @returns {Array<string>} - "bin (other region) → got (expected)"
+ */
+function checkOverridesAcrossRegions(app, madeIn, profiles) {
+  app.activateProfile(madeIn);
+  const overrides = {};
+  const problems = [];
+  for (const bin of app.pickableBinIds()) {
+    if (!app.defaultBins[bin]) problems.push(`${bin}: no built-in bin`);
+    overrides[`${LABEL} ${bin}`] = { bin };
+  }
+
+  for (const profile of profiles) {
+    app.activateProfile(profile);
+    app.setLabelOverrides(overrides);
+    for (const [label, { bin }] of Object.entries(overrides)) {
+      const { category } = app.mapToRecycleBucket(label);
+      const expected = app.resolveBinId(bin, profile);
+      if (category !== expected) {
+        problems.push(
+          `${bin} (in ${profile.id}) → ${category} (expected ${expected})`
+        );
+      }
+    }
+  }
+  app.setLabelOverrides({});
+  return problems;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const app = loadAppCode();
+  const profiles = [];
+  for (const { id } of await app.loadRegionIndex()) {
+    profiles.push(await app.loadRegionProfile(id));
+  }
+  let failed = false;
+
+  for (const profile of profiles) {
+    const problems = [
+      ...checkOverrides(app, profile),
+      ...checkOverridesAcrossRegions(app, profile, profiles),
+    ];
+    const redirected = Object.keys(profile.redirects).length;
+    console.log(
+      `${profile.id}: ${redirected} redirected bin(s), ` +
+        `${problems.length} correction(s) in the wrong bin`
+    );
+    for (const problem of problems) console.log(`  ${problem}`);
+    if (problems.length > 0) failed = true;
+  }
+  if (failed) process.exitCode = 1;
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(2);
+});
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * RECYCLE CAM - GLOBAL NAME CHECK
+ * ============================================================================
+ *
+ * The app is plain <script> files sharing one global scope, so two files
+ * declaring the same top-level function quietly replace one another: the
+ * file loaded last wins, also for calls made from the other file. This
+ * check finds such collisions before they break a path that is rarely
+ * taken (e.g. the on-page model fallback when no worker can run):
+ *
+ *   node tools/check-globals.js
+ *
+ * It reads the local scripts of index.html in order and lists every
+ * top-level function, class, const, let or var declared in more than one of
+ * them. Exits with 1 when there are any, 2 when it could not run.
+ *
+ * Top-level declarations are found by their position at the start of a
+ * line, which is how every file in the repo is formatted.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ROOT } = require("./load-scripts");
+
+// Top-level declarations: "function name", "async function name",
+// "class name", "const name", "let name", "var name"
+const DECLARATION =
+  /^(?:async\s+)?(?:function\*?|class|const|let|var)\s+([A-Za-z_$][\w$]*)/gm;
+
+/**
+ * The local scripts of index.html, in load order.
+ *
+ * @returns {Array<string>} - Paths relative to the repo root
+ */
+function pageScripts() {
+  const html = fs.readFileSync(path.join(ROOT, "index.html"), "utf8");
+  return [...html.matchAll(/<script\s+src="([^"]+)"/g)]
+    .map((match) => match[1])
+    .filter((src) => !/^[a-z][a-z0-9+.-]*:/i.test(src));
+}
+
+/**
+ * Names declared at the top level of a script.
+ *
+ * @param {string} file - Path relative to the repo root
+ * @returns {Array<string>}
+ */
+function topLevelNames(file) {
+  const code = fs.readFileSync(path.join(ROOT, file), "utf8");
+  return [...code.matchAll(DECLARATION)].map((match) => match[1]);
+}
+
+/**
+ * Names declared by more than one script.
+ *
+ * @param {Array<string>} files - Scripts sharing one global scope
+ * @returns {object} - { [name]: [files] }
+ */
+function findCollisions(files) {
+  const declaredIn = {};
+  for (const file of files) {
+    for (const name of new Set(topLevelNames(file))) {
+      declaredIn[name] = (declaredIn[name] || []).concat(file);
+    }
+  }
+  return Object.fromEntries(
+    Object.entries(declaredIn).filter(([, where]) => where.length > 1)
+  );
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+try {
+  const files = pageScripts();
+  const collisions = Object.entries(findCollisions(files));
+  console.log(`${files.length} scripts, ${collisions.length} shared name(s)`);
+  for (const [name, where] of collisions) {
+    console.log(`  ${name}: ${where.join(", ")} (${where.at(-1)} wins)`);
+  }
+  if (collisions.length > 0) process.exitCode = 1;
+} catch (err) {
+  console.error(err.message);
+  process.exit(2);
+}
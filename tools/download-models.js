@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * RECYCLE CAM - MODEL DOWNLOADER
+ * ============================================================================
+ *
+ * Downloads the COCO-SSD and MobileNet weights into models/ so the app can
+ * load them from its own web server (see model-config.js). Run once on a
+ * machine with internet access, then deploy the folder with the app:
+ *
+ *   node tools/download-models.js
+ *
+ * Needs Node 18+ (built-in fetch).
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ROOT, loadScripts } = require("./load-scripts");
+
+const { MODEL_CONFIG } = loadScripts(["model-config.js"], ["MODEL_CONFIG"]);
+
+/**
+ * Fetches a URL into a Buffer, failing on HTTP errors.
+ */
+async function download(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${url}: HTTP ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+/**
+ * Downloads model.json and its weight shards next to each other.
+ *
+ * @param {string} name - Model name for logging
+ * @param {object} config - { remoteUrl, localUrl }
+ */
+async function downloadModel(name, { remoteUrl, localUrl }) {
+  const target = path.join(ROOT, localUrl);
+  const dir = path.dirname(target);
+  fs.mkdirSync(dir, { recursive: true });
+
+  console.log(`${name}: ${remoteUrl}`);
+  const modelJson = JSON.parse((await download(remoteUrl)).toString("utf8"));
+  fs.writeFileSync(target, JSON.stringify(modelJson));
+
+  // Shards sit next to model.json; TF Hub also needs the same query string
+  const { search } = new URL(remoteUrl);
+  for (const group of modelJson.weightsManifest) {
+    for (const shard of group.paths) {
+      const url = new URL(shard, remoteUrl);
+      url.search = search;
+      fs.writeFileSync(path.join(dir, shard), await download(url.href));
+      console.log(`  ${shard}`);
+    }
+  }
+}
+
+async function main() {
+  for (const [name, config] of Object.entries(MODEL_CONFIG)) {
+    await downloadModel(name, config);
+  }
+  console.log("Done. Serve models/ together with the app.");
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
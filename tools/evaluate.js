@@ -0,0 +1,723 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * RECYCLE CAM - OFFLINE EVALUATION
+ * ============================================================================
+ *
+ * Measures how well photos end up in the right bin, so a change to
+ * mappings.js (or a region profile) can be reviewed with numbers instead of
+ * a few tries in front of the camera:
+ *
+ *   node tools/evaluate.js <folder> [--region id] [--json evaluation.json]
+ *                          [--cache predictions.json] [--target 0.9]
+ *
+ * The folder holds one subfolder per expected bin, named by bin id:
+ *
+ *   photos/plastic/bottle-1.jpg
+ *   photos/compost/banana.png
+ *
+ * Every photo goes through the app's own code - pipeline.js for the models,
+ * confidence.js and rules.js for the bin - on the tfjs CPU backend, with the
+ * weights in models/ (node tools/download-models.js). Taught items, product
+ * barcodes and user corrections are left out: they belong to one station.
+ *
+ * Prints per-bin precision and recall, a confusion matrix and the labels
+ * behind every miss, and writes the same as JSON. --cache keeps the model
+ * output per photo, so re-running after a mapping change takes seconds.
+ *
+ * It also calibrates the confidence (confidence.js): it fits the Platt
+ * scaling that makes the shown confidence match how often the shown bin is
+ * right, prints how reliable the confidence is with the current and the
+ * fitted calibration, and suggests the lowest MIN_SURE_CONFIDENCE at which
+ * the results shown as sure are right --target of the time.
+ *
+ * Needs Node 18+ and, outside the repo (it has no package.json):
+ *   npm install --no-save @tensorflow/tfjs@4.22.0 \
+ *     @tensorflow-models/coco-ssd@2.2.3 @tensorflow-models/mobilenet@2.1.0 \
+ *     @napi-rs/canvas
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { ROOT, localFetch, loadScripts } = require("./load-scripts");
+
+const IMAGE_EXTENSIONS = [".jpg", ".jpeg", ".png", ".webp"];
+const NO_BIN = "(none)"; // Column for photos the app showed no bin for
+const MIN_CALIBRATION_PHOTOS = 20; // Fewer answers, hits or misses: no fit
+const RELIABILITY_BUCKETS = 10;
+const SURE_THRESHOLDS = [0.3, 0.35, 0.4, 0.45, 0.5, 0.55, 0.6, 0.65, 0.7, 0.75,
+  0.8, 0.85, 0.9, 0.95];
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+/**
+ * Reads the photo folder and "--name value" options, with defaults.
+ */
+function readOptions(argv) {
+  const options = {
+    folder: null,
+    region: "default",
+    json: "evaluation.json",
+    cache: null,
+    target: "0.9",
+  };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith("--")) {
+      options.folder = argv[i];
+      continue;
+    }
+    const name = argv[i].slice(2);
+    if (!(name in options) || name === "folder" || argv[i + 1] === undefined) {
+      throw new Error(`Unknown option ${argv[i]}`);
+    }
+    options[name] = argv[++i];
+  }
+  if (!options.folder) {
+    throw new Error("Usage: node tools/evaluate.js <folder> [--region id]");
+  }
+  options.target = Number(options.target);
+  if (!(options.target > 0 && options.target <= 1)) {
+    throw new Error("--target must be a share between 0 and 1, e.g. 0.9");
+  }
+  return options;
+}
+
+// ============================================================================
+// APP CODE
+// ============================================================================
+
+/**
+ * Loads the runtime packages, failing with the install command.
+ */
+function requireRuntime() {
+  try {
+    return {
+      tf: require("@tensorflow/tfjs"),
+      cocoSsd: require("@tensorflow-models/coco-ssd"),
+      mobilenet: require("@tensorflow-models/mobilenet"),
+      canvas: require("@napi-rs/canvas"),
+    };
+  } catch (err) {
+    throw new Error(
+      `${err.message}\nInstall the runtime first (see the top of tools/evaluate.js)`
+    );
+  }
+}
+
+/**
+ * Loads the mapping code the app runs. The model pipeline is only loaded
+ * when a photo isn't in the cache.
+ *
+ * @param {boolean} withModels - Also load pipeline.js and the tfjs runtime
+ * @returns {object} - App globals by name
+ */
+function loadAppCode(withModels) {
+  const files = [
+    "mappings.js",
+    "rules.js",
+    "confidence.js",
+    "regions.js",
+    "model-config.js",
+  ];
+  const names = [
+    "CONFIDENCE_TOP_K",
+    "CONFIDENCE_CALIBRATION",
+    "MODEL_CONFIG",
+    "mapToRecycleBucket",
+    "assessPredictions",
+    "setConfidenceCalibration",
+    "logit",
+    "describeMatch",
+    "loadRegionProfile",
+    "activateProfile",
+    "resolveBinId",
+  ];
+  if (!withModels) return loadScripts(files, names);
+
+  const { tf, cocoSsd, mobilenet, canvas } = requireRuntime();
+
+  // Node has no web server: serve the local weights (models/…) from disk
+  tf.io.registerLoadRouter((url) =>
+    typeof url === "string" && !/^[a-z]+:/i.test(url)
+      ? tf.io.http(url, { fetchFunc: localFetch })
+      : null
+  );
+
+  const app = loadScripts(
+    [...files, "pipeline.js"],
+    [...names, "initPipeline", "runPipeline"],
+    {
+      tf,
+      cocoSsd,
+      mobilenet,
+      // pipeline.js crops on an OffscreenCanvas
+      OffscreenCanvas: function OffscreenCanvas(width, height) {
+        return canvas.createCanvas(width, height);
+      },
+    }
+  );
+  return { ...app, loadImage: canvas.loadImage, createCanvas: canvas.createCanvas };
+}
+
+/**
+ * Checks that the weights are in models/ - the pipeline would otherwise
+ * quietly download them from the model host.
+ */
+function checkLocalWeights(modelConfig) {
+  for (const { localUrl } of Object.values(modelConfig)) {
+    if (!fs.existsSync(path.join(ROOT, localUrl))) {
+      throw new Error(`${localUrl} is missing. Run: node tools/download-models.js`);
+    }
+  }
+}
+
+// ============================================================================
+// PHOTOS
+// ============================================================================
+
+/**
+ * Lists the labelled photos: one subfolder per expected bin.
+ *
+ * @param {string} folder - Folder to read
+ * @returns {Array<object>} - [{ file, folder, size, mtime }]
+ *   file: path relative to the folder; folder: its subfolder (bin id)
+ */
+function listPhotos(folder) {
+  const photos = [];
+  for (const entry of fs.readdirSync(folder, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    for (const name of fs.readdirSync(path.join(folder, entry.name)).sort()) {
+      if (!IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())) continue;
+      const file = path.join(entry.name, name);
+      const { size, mtimeMs } = fs.statSync(path.join(folder, file));
+      photos.push({ file, folder: entry.name, size, mtime: mtimeMs });
+    }
+  }
+  return photos;
+}
+
+/**
+ * Reads the prediction cache; a missing or unreadable file is empty.
+ *
+ * @param {string|null} file - Cache file
+ * @returns {object} - { [photo file]: { size, mtime, regions } }
+ */
+function readCache(file) {
+  if (!file || !fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    console.warn(`Ignoring unreadable cache ${file}: ${err.message}`);
+    return {};
+  }
+}
+
+/**
+ * Cached model output for a photo, if the photo hasn't changed since.
+ */
+function cachedRegions(cache, photo) {
+  const entry = cache[photo.file];
+  return entry && entry.size === photo.size && entry.mtime === photo.mtime
+    ? entry.regions
+    : null;
+}
+
+/**
+ * Runs the models on one photo the way the app does on a camera frame.
+ *
+ * @param {object} app - App globals (loadAppCode)
+ * @param {string} file - Photo path
+ * @returns {Promise<Array>} - [{ bbox, predictions }] best first
+ */
+async function runModels(app, file) {
+  const image = await app.loadImage(fs.readFileSync(file));
+  const frame = app.createCanvas(image.width, image.height);
+  frame.getContext("2d").drawImage(image, 0, 0);
+
+  const regions = await app.runPipeline(frame, { topK: app.CONFIDENCE_TOP_K });
+  return regions.map(({ bbox, predictions }) => ({ bbox, predictions }));
+}
+
+// ============================================================================
+// SCORING
+// ============================================================================
+
+/**
+ * The bin the app shows for a photo: the first region it is confident
+ * enough about, as in analyzeFrame (app.js).
+ *
+ * @param {object} app - App globals
+ * @param {Array} regions - Model output for the photo
+ * @returns {object} - { bin, score, confidence, uncertain, labels }
+ *   bin: bin id or NO_BIN
+ *   score: the bin's summed probability before calibration
+ *   labels: the raw labels behind the answer, with their bin and rule
+ */
+function judgePhoto(app, regions) {
+  const describe = ({ className, probability }) => {
+    const result = app.mapToRecycleBucket(className);
+    return {
+      className,
+      probability,
+      bin: result.unknown ? null : result.category,
+      rule: app.describeMatch(result),
+    };
+  };
+
+  for (const { predictions } of regions) {
+    const match = app.assessPredictions(predictions);
+    if (!match) continue;
+    return {
+      bin: match.result.category,
+      score: match.bins[0].score,
+      confidence: match.probability,
+      uncertain: match.uncertain,
+      labels: match.bins[0].labels.map(describe),
+    };
+  }
+
+  // Nothing reached a bin: the top region's labels show what was seen
+  return {
+    bin: NO_BIN,
+    score: 0,
+    confidence: 0,
+    uncertain: false,
+    labels: regions.length > 0 ? regions[0].predictions.map(describe) : [],
+  };
+}
+
+/**
+ * Adds up photos into per-bin precision/recall and a confusion matrix.
+ *
+ * @param {Array<object>} results - [{ file, expected, bin, labels, … }]
+ * @param {Array<string>} binIds - Bins of the region, in display order
+ * @returns {object} - { accuracy, correct, total, uncertain, bins,
+ *   confusion, misses, missLabels }
+ */
+function scoreResults(results, binIds) {
+  const columns = [...binIds, NO_BIN];
+  const confusion = {};
+  for (const expected of binIds) {
+    confusion[expected] = Object.fromEntries(columns.map((bin) => [bin, 0]));
+  }
+  for (const { expected, bin } of results) confusion[expected][bin]++;
+
+  const bins = {};
+  for (const id of binIds) {
+    const truePositives = confusion[id][id];
+    const expectedCount = columns.reduce((sum, bin) => sum + confusion[id][bin], 0);
+    const predictedCount = binIds.reduce((sum, row) => sum + confusion[row][id], 0);
+    bins[id] = {
+      images: expectedCount,
+      predicted: predictedCount,
+      precision: predictedCount ? truePositives / predictedCount : null,
+      recall: expectedCount ? truePositives / expectedCount : null,
+    };
+  }
+
+  // Which raw labels keep sending photos to the wrong bin
+  const misses = results.filter((r) => r.bin !== r.expected);
+  const missLabels = new Map();
+  for (const miss of misses) {
+    for (const { className, bin, rule } of miss.labels) {
+      const entry = missLabels.get(className) || { className, bin, rule, misses: 0 };
+      entry.misses++;
+      missLabels.set(className, entry);
+    }
+  }
+
+  const correct = results.length - misses.length;
+  return {
+    total: results.length,
+    correct,
+    accuracy: results.length ? correct / results.length : null,
+    uncertain: results.filter((r) => r.uncertain).length,
+    bins,
+    confusion,
+    misses,
+    missLabels: [...missLabels.values()].sort((a, b) => b.misses - a.misses),
+  };
+}
+
+// ============================================================================
+// CALIBRATION
+// ============================================================================
+
+/**
+ * Fits Platt scaling - confidence = sigmoid(slope * logit(score) + offset)
+ * - to the photos the app showed a bin for, by Newton's method on the log
+ * loss. The targets are smoothed as in Platt's paper, so a few photos can't
+ * push the confidence to 0 or 1.
+ *
+ * @param {object} app - App globals
+ * @param {Array<object>} results - Judged photos (judgePhoto + expected)
+ * @returns {object|null} - { slope, offset }, null with too few photos
+ */
+function fitCalibration(app, results) {
+  const shown = results.filter((r) => r.bin !== NO_BIN);
+  const hits = shown.filter((r) => r.bin === r.expected).length;
+  const misses = shown.length - hits;
+  if (shown.length < MIN_CALIBRATION_PHOTOS || hits === 0 || misses === 0) {
+    return null;
+  }
+
+  const hitTarget = (hits + 1) / (hits + 2);
+  const missTarget = 1 / (misses + 2);
+  const samples = shown.map((r) => ({
+    x: app.logit(r.score),
+    y: r.bin === r.expected ? hitTarget : missTarget,
+  }));
+
+  let slope = 1;
+  let offset = 0;
+  for (let step = 0; step < 100; step++) {
+    // Gradient and Hessian of the log loss, with a little damping
+    let gSlope = 0, gOffset = 0, hSS = 1e-9, hSO = 0, hOO = 1e-9;
+    for (const { x, y } of samples) {
+      const p = 1 / (1 + Math.exp(-(slope * x + offset)));
+      const w = p * (1 - p);
+      gSlope += (p - y) * x;
+      gOffset += p - y;
+      hSS += w * x * x;
+      hSO += w * x;
+      hOO += w;
+    }
+    const det = hSS * hOO - hSO * hSO;
+    const dSlope = (hOO * gSlope - hSO * gOffset) / det;
+    const dOffset = (hSS * gOffset - hSO * gSlope) / det;
+    slope -= dSlope;
+    offset -= dOffset;
+    if (Math.abs(dSlope) < 1e-8 && Math.abs(dOffset) < 1e-8) break;
+  }
+  return { slope, offset };
+}
+
+/**
+ * How well the confidence of the shown bins matches how often they are
+ * right, in equal-width confidence buckets.
+ *
+ * @param {Array<object>} results - Judged photos
+ * @returns {object} - { buckets, error }
+ *   buckets: [{ from, to, photos, confidence, accuracy }], empty ones left
+ *   out; confidence: mean shown confidence, accuracy: share right
+ *   error: expected calibration error - the gap between the two, averaged
+ *   over the photos
+ */
+function reliability(results) {
+  const shown = results.filter((r) => r.bin !== NO_BIN);
+  const buckets = [];
+  let error = 0;
+  for (let i = 0; i < RELIABILITY_BUCKETS; i++) {
+    const from = i / RELIABILITY_BUCKETS;
+    const to = (i + 1) / RELIABILITY_BUCKETS;
+    const inBucket = shown.filter(
+      (r) => r.confidence >= from && (r.confidence < to || i === RELIABILITY_BUCKETS - 1)
+    );
+    if (inBucket.length === 0) continue;
+    const confidence =
+      inBucket.reduce((sum, r) => sum + r.confidence, 0) / inBucket.length;
+    const accuracy =
+      inBucket.filter((r) => r.bin === r.expected).length / inBucket.length;
+    buckets.push({ from, to, photos: inBucket.length, confidence, accuracy });
+    error += (inBucket.length / shown.length) * Math.abs(accuracy - confidence);
+  }
+  return { buckets, error: shown.length ? error : null };
+}
+
+/**
+ * The lowest MIN_SURE_CONFIDENCE at which the bins shown as sure are right
+ * at least `target` of the time. Only the confidence is varied: the margin
+ * to the runner-up (MIN_SURE_MARGIN) is left as it is.
+ *
+ * @param {Array<object>} results - Judged photos
+ * @param {number} target - Share of sure results that should be right
+ * @returns {object} - { threshold, thresholds }
+ *   threshold: the suggestion, null when no threshold reaches the target
+ *   thresholds: [{ threshold, sure, accuracy }] for every one tried
+ *   sure: share of the photos shown as sure
+ */
+function suggestSureThreshold(results, target) {
+  const thresholds = SURE_THRESHOLDS.map((threshold) => {
+    const sure = results.filter(
+      (r) => r.bin !== NO_BIN && r.confidence >= threshold
+    );
+    const right = sure.filter((r) => r.bin === r.expected).length;
+    return {
+      threshold,
+      sure: results.length ? sure.length / results.length : null,
+      accuracy: sure.length ? right / sure.length : null,
+    };
+  });
+  const reached = thresholds.find((t) => t.accuracy !== null && t.accuracy >= target);
+  return { threshold: reached ? reached.threshold : null, thresholds };
+}
+
+/**
+ * Fits the calibration and compares it with the one in confidence.js.
+ *
+ * @param {object} app - App globals
+ * @param {Array<object>} entries - [{ file, expected, regions }]
+ * @param {Array<object>} results - The photos judged with the current
+ *   calibration
+ * @param {number} target - See suggestSureThreshold
+ * @returns {object} - { photos, current, fitted, before, after, sure }
+ *   current/fitted: { slope, offset }; fitted is null with too few photos
+ *   before/after: reliability with each
+ *   sure: suggestSureThreshold with the fitted calibration
+ */
+function calibrate(app, entries, results, target) {
+  const current = app.CONFIDENCE_CALIBRATION;
+  const fitted = fitCalibration(app, results);
+  const report = {
+    photos: results.filter((r) => r.bin !== NO_BIN).length,
+    current,
+    fitted,
+    before: reliability(results),
+    after: null,
+    sure: suggestSureThreshold(results, target),
+  };
+  if (!fitted) return report;
+
+  // The calibration also decides which crops are background (too unsure
+  // to show), so the photos are judged again rather than rescaled
+  app.setConfidenceCalibration(fitted);
+  const calibrated = entries.map(({ expected, regions }) => ({
+    expected,
+    ...judgePhoto(app, regions),
+  }));
+  app.setConfidenceCalibration(current);
+
+  report.after = reliability(calibrated);
+  report.sure = suggestSureThreshold(calibrated, target);
+  return report;
+}
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+/**
+ * Formats a share as a percentage, "-" when undefined.
+ */
+function percent(value) {
+  return value === null ? "-" : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Lays out rows of cells as left-aligned text columns.
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, i) =>
+    Math.max(...rows.map((row) => String(row[i]).length))
+  );
+  return rows
+    .map((row) =>
+      row
+        .map((cell, i) => String(cell).padEnd(widths[i]))
+        .join("  ")
+        .trimEnd()
+    )
+    .join("\n");
+}
+
+/**
+ * The readable summary of an evaluation.
+ *
+ * @param {object} report - Report as written to JSON
+ * @returns {string}
+ */
+function formatSummary(report) {
+  const { region, score } = report;
+  const binIds = Object.keys(score.bins);
+  const lines = [
+    `Region "${region}": ${score.correct}/${score.total} photos in the right bin` +
+      ` (${percent(score.accuracy)}), ${score.uncertain} shown as not sure`,
+    "",
+    formatTable([
+      ["Bin", "Photos", "Precision", "Recall"],
+      ...binIds.map((id) => {
+        const bin = score.bins[id];
+        return [id, bin.images, percent(bin.precision), percent(bin.recall)];
+      }),
+    ]),
+    "",
+    "Confusion matrix (rows: expected bin, columns: bin shown)",
+    formatTable([
+      ["", ...binIds, NO_BIN],
+      ...binIds.map((id) => [
+        id,
+        ...[...binIds, NO_BIN].map((bin) => score.confusion[id][bin]),
+      ]),
+    ]),
+  ];
+
+  if (score.misses.length > 0) {
+    lines.push("", "Misses");
+    for (const miss of score.misses) {
+      const sure = miss.uncertain ? ", not sure" : "";
+      const shown =
+        miss.bin === NO_BIN ? "no bin" : `${miss.bin} (${percent(miss.confidence)}${sure})`;
+      lines.push(`  ${miss.file} → ${shown}`);
+      for (const { className, probability, rule } of miss.labels) {
+        lines.push(`      ${percent(probability)} "${className}": ${rule}`);
+      }
+    }
+
+    lines.push("", "Labels behind the misses");
+    lines.push(
+      formatTable([
+        ["Misses", "Label", "Bin", "Rule"],
+        ...score.missLabels.map((l) => [l.misses, l.className, l.bin || NO_BIN, l.rule]),
+      ])
+        .split("\n")
+        .map((line) => `  ${line}`)
+        .join("\n")
+    );
+  }
+  lines.push("", ...formatCalibration(report.calibration, report.target));
+  return lines.join("\n");
+}
+
+/**
+ * The calibration part of the summary.
+ *
+ * @param {object} calibration - calibrate()
+ * @param {number} target - Share of sure results that should be right
+ * @returns {Array<string>} - Lines
+ */
+function formatCalibration(calibration, target) {
+  const { current, fitted, before, after, sure } = calibration;
+  const describe = ({ slope, offset }) =>
+    `slope ${slope.toFixed(3)}, offset ${offset.toFixed(3)}`;
+  const lines = [
+    `Confidence calibration (${calibration.photos} photos with a bin shown)`,
+    `  confidence.js: ${describe(current)}, calibration error ${percent(before.error)}`,
+  ];
+  if (!fitted) {
+    lines.push(
+      `  Not fitted: needs ${MIN_CALIBRATION_PHOTOS} photos with a bin shown, ` +
+        "some right and some wrong"
+    );
+  } else {
+    lines.push(`  fitted:        ${describe(fitted)}, calibration error ${percent(after.error)}`);
+  }
+
+  const shown = after || before;
+  lines.push(
+    "",
+    `Reliability (${fitted ? "fitted" : "current"} calibration)`,
+    formatTable([
+      ["Confidence", "Photos", "Mean confidence", "Right"],
+      ...shown.buckets.map((b) => [
+        `${percent(b.from)}-${percent(b.to)}`,
+        b.photos,
+        percent(b.confidence),
+        percent(b.accuracy),
+      ]),
+    ])
+      .split("\n")
+      .map((line) => `  ${line}`)
+      .join("\n"),
+    "",
+    `Sure threshold (bins shown as sure should be right ${percent(target)} of the time)`,
+    formatTable([
+      ["MIN_SURE_CONFIDENCE", "Shown as sure", "Right"],
+      ...sure.thresholds.map((t) => [t.threshold, percent(t.sure), percent(t.accuracy)]),
+    ])
+      .split("\n")
+      .map((line) => `  ${line}`)
+      .join("\n")
+  );
+
+  const settings = [];
+  if (fitted) {
+    settings.push(
+      `CONFIDENCE_CALIBRATION = { slope: ${fitted.slope.toFixed(3)}, ` +
+        `offset: ${fitted.offset.toFixed(3)} }`
+    );
+  }
+  if (sure.threshold !== null) settings.push(`MIN_SURE_CONFIDENCE = ${sure.threshold}`);
+  lines.push(
+    "",
+    settings.length > 0
+      ? `Suggested in confidence.js: ${settings.join(", ")}`
+      : `No MIN_SURE_CONFIDENCE reaches ${percent(target)}`
+  );
+  return lines;
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const options = readOptions(process.argv.slice(2));
+  const photos = listPhotos(options.folder);
+  if (photos.length === 0) {
+    throw new Error(`No photos in subfolders of ${options.folder}`);
+  }
+
+  const cache = readCache(options.cache);
+  const needModels = photos.some((photo) => !cachedRegions(cache, photo));
+  const app = loadAppCode(needModels);
+
+  const profile = await app.loadRegionProfile(options.region);
+  app.activateProfile(profile);
+
+  // Folder names are bin ids; redirected ones count as their new bin
+  const binIds = Object.keys(profile.bins);
+  for (const folder of new Set(photos.map((p) => p.folder))) {
+    if (!profile.bins[folder] && !profile.redirects[folder]) {
+      throw new Error(
+        `Folder "${folder}" is not a bin of region "${profile.id}" (${binIds.join(", ")})`
+      );
+    }
+  }
+
+  if (needModels) {
+    checkLocalWeights(app.MODEL_CONFIG);
+    console.log("Loading models (tfjs CPU backend)…");
+    await app.initPipeline("cpu");
+  }
+
+  const entries = [];
+  for (const [i, photo] of photos.entries()) {
+    let regions = cachedRegions(cache, photo);
+    if (!regions) {
+      console.log(`[${i + 1}/${photos.length}] ${photo.file}`);
+      regions = await runModels(app, path.join(options.folder, photo.file));
+      cache[photo.file] = { size: photo.size, mtime: photo.mtime, regions };
+    }
+    const expected = app.resolveBinId(photo.folder, profile);
+    entries.push({ file: photo.file, expected, regions });
+  }
+  if (options.cache) fs.writeFileSync(options.cache, JSON.stringify(cache));
+
+  const results = entries.map(({ file, expected, regions }) => ({
+    file,
+    expected,
+    ...judgePhoto(app, regions),
+  }));
+  const report = {
+    region: profile.id,
+    date: new Date().toISOString(),
+    target: options.target,
+    score: scoreResults(results, binIds),
+    calibration: calibrate(app, entries, results, options.target),
+    photos: results,
+  };
+  fs.writeFileSync(options.json, JSON.stringify(report, null, 2));
+
+  console.log(`\n${formatSummary(report)}\n\nJSON report: ${options.json}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(1);
+});
@@ -0,0 +1,73 @@
+/**
+ * ============================================================================
+ * RECYCLE CAM - BROWSER SCRIPT LOADER (NODE)
+ * ============================================================================
+ *
+ * The app is plain <script> files sharing globals. This helper runs some of
+ * them in a Node vm context, in the same order as index.html, and hands back
+ * the globals a tool needs - so tools use exactly the code the app runs.
+ *
+ * Only DOM-free files can be loaded (mappings.js, rules.js, regions.js, …).
+ * Relative URLs fetched by those files are read from the repo, as if the app
+ * were served from it.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.resolve(__dirname, "..");
+
+/**
+ * fetch() that serves relative URLs ("regions/index.json") from the repo
+ * and passes absolute ones to the network.
+ *
+ * @param {string} url - URL as the app would fetch it
+ * @param {object} [init] - fetch options
+ * @returns {Promise<Response>}
+ */
+async function localFetch(url, init) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url)) return fetch(url, init);
+  const file = path.join(ROOT, decodeURIComponent(url.split(/[?#]/)[0]));
+  try {
+    return new Response(fs.readFileSync(file));
+  } catch (err) {
+    return new Response(null, { status: 404 });
+  }
+}
+
+/**
+ * Runs app scripts in one shared context and returns the requested globals.
+ *
+ * @param {Array<string>} files - Script paths relative to the repo root
+ * @param {Array<string>} names - Global names to return
+ * @param {object} [globals] - Extra globals the scripts need (e.g. tf)
+ * @returns {object} - { [name]: value }
+ */
+function loadScripts(files, names, globals = {}) {
+  const context = vm.createContext({
+    console,
+    fetch: localFetch,
+    URL,
+    ...globals,
+  });
+
+  for (const file of files) {
+    const code = fs.readFileSync(path.join(ROOT, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+
+  // const/let/function globals aren't properties of the context object,
+  // so read them back by evaluating their names inside it
+  const values = {};
+  for (const name of names) {
+    values[name] = vm.runInContext(name, context);
+  }
+  return values;
+}
+
+module.exports = { ROOT, localFetch, loadScripts };
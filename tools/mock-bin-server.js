@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * RECYCLE CAM - MOCK SMART BIN
+ * ============================================================================
+ *
+ * Stands in for a sorting station while testing the 🔌 Smart bin output
+ * (bin-output.js) without hardware. Prints the lid it would open for every
+ * decision event and acknowledges it:
+ *
+ *   node tools/mock-bin-server.js [--port 8787] [--fail 0.3] [--delay 200]
+ *
+ * - WebSocket: ws://localhost:8787 - answers { "type": "ack", "id": ... }
+ * - HTTP POST: http://localhost:8787/decision - answers 200
+ *
+ * --fail drops that share of events without an ack (to watch the retries),
+ * --delay waits before acknowledging (ms). Retries carry the same id and
+ * are not acted on twice. No npm packages needed.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const crypto = require("crypto");
+const http = require("http");
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+/**
+ * Reads "--name value" options, with defaults.
+ */
+function readOptions(argv) {
+  const options = { port: 8787, fail: 0, delay: 0 };
+  for (let i = 0; i < argv.length; i += 2) {
+    const name = argv[i].replace(/^--/, "");
+    if (!(name in options)) throw new Error(`Unknown option ${argv[i]}`);
+    options[name] = Number(argv[i + 1]);
+  }
+  return options;
+}
+
+const options = readOptions(process.argv.slice(2));
+
+// ============================================================================
+// DECISIONS
+// ============================================================================
+
+const seenIds = new Set(); // Events already acted on (retries repeat ids)
+
+/**
+ * "Opens the lid" for a decision event.
+ *
+ * @param {object} event - Decision event from bin-output.js
+ * @returns {boolean} - Acknowledge the event (false: simulate a lost one)
+ */
+function handleDecision(event) {
+  if (Math.random() < options.fail) {
+    console.log(`  ✗ dropped ${event.id} (simulated failure)`);
+    return false;
+  }
+  if (seenIds.has(event.id)) {
+    console.log(`  ↻ ${event.id} again - already done, acknowledging`);
+    return true;
+  }
+  seenIds.add(event.id);
+
+  const percent = Math.round(event.confidence * 100);
+  const test = event.test ? " [test]" : "";
+  console.log(
+    `${event.timestamp} 🟢 open "${event.bin}" lid - ${event.item} (${percent}%)${test}`
+  );
+  return true;
+}
+
+/**
+ * Parses a message and acknowledges it after the configured delay.
+ *
+ * @param {string} text - Raw message
+ * @param {Function} ack - Called with the event when acknowledged
+ * @param {Function} reject - Called when not acknowledged
+ */
+function receive(text, ack, reject) {
+  let event;
+  try {
+    event = JSON.parse(text);
+  } catch (e) {
+    console.warn("Not JSON:", text);
+    reject(400);
+    return;
+  }
+  if (!event || event.type !== "decision") {
+    reject(400);
+    return;
+  }
+  if (!handleDecision(event)) {
+    reject(503);
+    return;
+  }
+  setTimeout(() => ack(event), options.delay);
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const server = http.createServer((req, res) => {
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, CORS_HEADERS).end();
+    return;
+  }
+  if (req.method !== "POST" || req.url !== "/decision") {
+    res.writeHead(404, CORS_HEADERS).end();
+    return;
+  }
+
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () =>
+    receive(
+      body,
+      (event) =>
+        res
+          .writeHead(200, { ...CORS_HEADERS, "Content-Type": "application/json" })
+          .end(JSON.stringify({ type: "ack", id: event.id })),
+      (status) => {
+        // A lost event never answers; the app's timeout does the rest
+        if (status !== 503) res.writeHead(status, CORS_HEADERS).end();
+      }
+    )
+  );
+});
+
+// ============================================================================
+// WEBSOCKET (RFC 6455, text frames only)
+// ============================================================================
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+/**
+ * Encodes a text frame (server frames are not masked).
+ */
+function encodeFrame(text, opcode = 0x1) {
+  const payload = Buffer.from(text);
+  const length = payload.length;
+  let header;
+  if (length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = length;
+  } else if (length < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(length, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10);
+    header.writeBigUInt64BE(BigInt(length), 2);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Takes complete frames off the front of a buffer.
+ *
+ * @param {Buffer} buffer - Received bytes
+ * @returns {object} - { frames: [{ opcode, payload }], rest }
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0f;
+    const masked = buffer[offset + 1] & 0x80;
+    let length = buffer[offset + 1] & 0x7f;
+    let pos = offset + 2;
+
+    if (length === 126) {
+      if (buffer.length < pos + 2) break;
+      length = buffer.readUInt16BE(pos);
+      pos += 2;
+    } else if (length === 127) {
+      if (buffer.length < pos + 8) break;
+      length = Number(buffer.readBigUInt64BE(pos));
+      pos += 8;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length < pos + maskLength + length) break;
+    const mask = buffer.subarray(pos, pos + maskLength);
+    const payload = Buffer.from(
+      buffer.subarray(pos + maskLength, pos + maskLength + length)
+    );
+    if (masked) {
+      for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+    }
+
+    frames.push({ opcode, payload });
+    offset = pos + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+server.on("upgrade", (req, socket) => {
+  const key = req.headers["sec-websocket-key"];
+  if (!key) {
+    socket.destroy();
+    return;
+  }
+  const accept = crypto
+    .createHash("sha1")
+    .update(key + WS_GUID)
+    .digest("base64");
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  console.log("WebSocket client connected");
+
+  let pending = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    for (const { opcode, payload } of frames) {
+      if (opcode === 0x8) {
+        socket.end(encodeFrame("", 0x8)); // Close
+      } else if (opcode === 0x9) {
+        socket.write(encodeFrame(payload.toString(), 0xa)); // Ping → pong
+      } else if (opcode === 0x1) {
+        receive(
+          payload.toString("utf8"),
+          (event) =>
+            socket.write(encodeFrame(JSON.stringify({ type: "ack", id: event.id }))),
+          () => {}
+        );
+      }
+    }
+  });
+  socket.on("close", () => console.log("WebSocket client left"));
+  socket.on("error", () => {});
+});
+
+// ============================================================================
+// START
+// ============================================================================
+
+server.listen(options.port, () => {
+  console.log(`Mock smart bin on port ${options.port}`);
+  console.log(`  WebSocket: ws://localhost:${options.port}`);
+  console.log(`  HTTP POST: http://localhost:${options.port}/decision`);
+  if (options.fail > 0) console.log(`  Dropping ${options.fail * 100}% of events`);
+});
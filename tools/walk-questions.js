@@ -0,0 +1,192 @@
+#!/usr/bin/env node
+/**
+ * ============================================================================
+ * RECYCLE CAM - FOLLOW-UP QUESTION WALKER
+ * ============================================================================
+ *
+ * Checks the follow-up questions of mappings.js (followUpQuestions) with the
+ * app's own code, without a camera:
+ *
+ *   node tools/walk-questions.js [--region id]
+ *   node tools/walk-questions.js <question id> [answer ...] [--region id]
+ *
+ * Without a question it lists, for every question a rule asks, the rules
+ * asking it and every way through it with the bin it ends in - moved to the
+ * region's bins as the app does ("paper → recycling"). Questions no rule
+ * asks are listed too.
+ *
+ * With a question and answers (answer ids: "yes", "no" or a choice id) it
+ * prints where they lead: the next question and its answers, or the bin.
+ *
+ * The command exits with 1 when a question loops, an answer leads nowhere
+ * or ends in a bin mappings.js doesn't have, 2 when it could not run.
+ *
+ * Author: [Your Name]
+ * Project: Recycle Cam - AI Waste Sorting Assistant
+ * ============================================================================
+ */
+
+const { loadScripts } = require("./load-scripts");
+
+// ============================================================================
+// OPTIONS
+// ============================================================================
+
+/**
+ * Reads "--region id" and the question id and answers.
+ */
+function readOptions(argv) {
+  const options = { region: "default", question: null, answers: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--region" && argv[i + 1] !== undefined) {
+      options.region = argv[++i];
+    } else if (argv[i].startsWith("--")) {
+      throw new Error(
+        `Unknown option ${argv[i]}\nUsage: node tools/walk-questions.js ` +
+          "[question [answer ...]] [--region id]"
+      );
+    } else if (!options.question) {
+      options.question = argv[i];
+    } else {
+      options.answers.push(argv[i]);
+    }
+  }
+  return options;
+}
+
+// ============================================================================
+// APP CODE
+// ============================================================================
+
+/**
+ * Loads the mapping and question code the app runs.
+ *
+ * @returns {object} - App globals by name
+ */
+function loadAppCode() {
+  return loadScripts(
+    ["mappings.js", "rules.js", "regions.js"],
+    [
+      "defaultBins",
+      "followUpQuestions",
+      "questionAnswers",
+      "followAnswers",
+      "listAnswerPaths",
+      "compileRules",
+      "loadRegionProfile",
+      "resolveBinId",
+    ]
+  );
+}
+
+// ============================================================================
+// OUTPUT
+// ============================================================================
+
+/**
+ * A bin of the built-in profile as it ends up in the region.
+ */
+function regionBin(app, bin, profile) {
+  const target = app.resolveBinId(bin, profile);
+  return target === bin ? bin : `${bin} → ${target}`;
+}
+
+/**
+ * Every question a rule asks, the rules asking it and the ways through it.
+ * Problems are added to the list passed in.
+ *
+ * @param {object} app - App globals
+ * @param {object} profile - Resolved region profile
+ * @param {Array<string>} problems - Collects the problems found
+ * @returns {string}
+ */
+function formatAllQuestions(app, profile, problems) {
+  const askedBy = {};
+  for (const rule of app.compileRules(profile.mappings)) {
+    if (!rule.ask) continue;
+    askedBy[rule.ask] = askedBy[rule.ask] || [];
+    askedBy[rule.ask].push(`${rule.category}:${rule.pattern}`);
+  }
+
+  const lines = [`Region "${profile.id}"`];
+  for (const [id, rules] of Object.entries(askedBy)) {
+    lines.push("", `${id} - asked by ${rules.join(", ")}`);
+    let paths;
+    try {
+      paths = app.listAnswerPaths(id);
+    } catch (err) {
+      problems.push(err.message);
+      lines.push(`  ${err.message}`);
+      continue;
+    }
+
+    const width = Math.max(...paths.map((p) => p.answers.join(", ").length));
+    for (const { answers, bin } of paths) {
+      if (!app.defaultBins[bin]) {
+        problems.push(`${id} → ${answers.join(", ")}: unknown bin "${bin}"`);
+      }
+      const path = answers.join(", ").padEnd(width);
+      lines.push(`  ${path}  → ${regionBin(app, bin, profile)}`);
+    }
+  }
+
+  const unasked = Object.keys(app.followUpQuestions).filter(
+    (id) =>
+      !askedBy[id] &&
+      !Object.values(app.followUpQuestions).some((question) =>
+        app.questionAnswers(question).some((answer) => answer.next === id)
+      )
+  );
+  if (unasked.length > 0) {
+    lines.push("", `Not asked by any rule: ${unasked.join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Where answers to a question lead.
+ *
+ * @param {object} app - App globals
+ * @param {object} profile - Resolved region profile
+ * @param {string} id - First question
+ * @param {Array<string>} answers - Answer ids
+ * @returns {string}
+ */
+function formatStep(app, profile, id, answers) {
+  const step = app.followAnswers(id, answers);
+  if (step.bin) return `Bin: ${regionBin(app, step.bin, profile)}`;
+
+  const question = app.followUpQuestions[step.question];
+  const choices = app
+    .questionAnswers(question)
+    .map((answer) => `  ${answer.id}${answer.text ? ` - ${answer.text}` : ""}`);
+  return [`${step.question}: ${question.text}`, ...choices].join("\n");
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const options = readOptions(process.argv.slice(2));
+  const app = loadAppCode();
+  const profile = await app.loadRegionProfile(options.region);
+
+  if (options.question) {
+    console.log(formatStep(app, profile, options.question, options.answers));
+    return;
+  }
+
+  const problems = [];
+  console.log(formatAllQuestions(app, profile, problems));
+  if (problems.length > 0) {
+    console.error(`\n${problems.length} problem(s):`);
+    for (const problem of problems) console.error(`  ${problem}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exit(2);
+});